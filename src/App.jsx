@@ -1,5 +1,87 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
-import { Play, Pause, RotateCcw, Trophy, Plus, Trash2, Clock, FileText, Settings } from 'lucide-react';
+import { Play, Pause, RotateCcw, Trophy, Plus, Trash2, Clock, FileText, Settings, DollarSign, History, Undo2, Redo2, LayoutGrid, Award, Users, Database, Wand2, Coins, BarChart3 } from 'lucide-react';
+import { assignPrizes } from './payouts';
+import { TRANSACTION_TYPES, transactionLabels, getFeeRules, calculatePrizePool, playerInvestment } from './finance';
+import PayoutsManager from './PayoutsManager';
+import CashDeskSummary from './CashDeskSummary';
+import DealCalculator from './DealCalculator';
+import { selectTVTournament, useTVPublisher } from './tvSync';
+import {
+  getTimeLeft,
+  startClock,
+  pauseClock,
+  setClockLevel,
+  resetClock,
+  advanceClock,
+  formatTime,
+  formatDuration,
+  formatClockAt,
+  useNow,
+} from './clock';
+import {
+  STATUS,
+  statusLabels,
+  getStatus,
+  isLocked,
+  isAllowedWhenLocked,
+  transition,
+  applyLifecycle,
+} from './lifecycle';
+import { recordEvent, undo, redo, canUndo, canRedo, historyToCSV } from './history';
+import HistoryLog from './HistoryLog';
+import { eliminatePlayers, reinstatePlayer, rebuyPlayer } from './eliminations';
+import EliminationDialog from './EliminationDialog';
+import { getTables, ensureSeats } from './tables';
+import TablesManager from './TablesManager';
+import TableSuggestions from './TableSuggestions';
+import BlindGenerator from './BlindGenerator';
+import BlindTemplates from './BlindTemplates';
+import { templatePatch } from './templates';
+import { numberLevels, validateStructure } from './blinds';
+import StructureAnalysis from './StructureAnalysis';
+import { smallestChipAt } from './chips';
+import ChipsManager from './ChipsManager';
+import ColorUpNotice from './ColorUpNotice';
+import NextLevelInfo from './NextLevelInfo';
+import { tournamentStats } from './stats';
+import StatsPanel from './StatsPanel';
+import TVLayoutEditor from './TVLayoutEditor';
+import { createLeague as newLeague, normalizeName } from './league';
+import { createProfile as newProfile, findProfileByName, searchProfiles, linkPlayersToProfiles } from './registry';
+import PlayerRegistry from './PlayerRegistry';
+import { createTournamentBackup, downloadBackup } from './backup';
+import { exportImages } from './tvImages';
+import BackupDialog from './BackupDialog';
+import { defaultBlindStructure, tournamentDefaults } from './schema';
+import { useStorageSync } from './storage';
+import { isHeldByOtherTab, renewLock, useEditLock } from './editLocks';
+import QuarantineNotice from './QuarantineNotice';
+import ConflictNotice from './ConflictNotice';
+import { scoringLabels, getScoring, calculatePoints, scoringVars } from './scoring';
+import ScoringEditor from './ScoringEditor';
+import LeagueManager from './LeagueManager';
+import { getRules, checkRebuy, checkAddon } from './rules';
+import {
+  BOUNTY_MODES,
+  bountyModeLabels,
+  getBounty,
+  getEntryBounty,
+  getRebuyBounty,
+  buyBounty,
+  collectBounties,
+  revertKnockout,
+  countKnockouts,
+  getBountyWinnings,
+  isBountyEnabled,
+} from './bounty';
+import {
+  getLateRegistration,
+  getRegistrationCloseIndex,
+  isRegistrationOpen,
+  getTimeUntilRegistrationClose,
+  isLateEntry,
+  getEntryStack,
+} from './registration';
 
 /*
   PokerTournamentManager.jsx
@@ -11,16 +93,6 @@ import { Play, Pause, RotateCcw, Trophy, Plus, Trash2, Clock, FileText, Settings
 
 const uid = (prefix = '') => `${prefix}${Date.now()}${Math.floor(Math.random() * 9999)}`;
 
-const defaultBlindStructure = [
-  { level: 1, smallBlind: 25, bigBlind: 50, ante: 0, duration: 10 },
-  { level: 2, smallBlind: 50, bigBlind: 100, ante: 0, duration: 10 },
-  { level: 3, smallBlind: 75, bigBlind: 150, ante: 25, duration: 10 },
-  { level: 4, smallBlind: 100, bigBlind: 200, ante: 25, duration: 10, isBreak: true, breakDuration: 10 },
-  { level: 5, smallBlind: 150, bigBlind: 300, ante: 50, duration: 10 },
-];
-
-const saveKey = 'poker_tournaments_v1';
-
 const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
 
 // --------- Context ---------
@@ -32,57 +104,166 @@ const useTournaments = () => useContext(TournamentsContext);
 const TournamentsProvider = ({ children }) => {
   const [tournaments, setTournaments] = useState([]);
   const [activeTournamentId, setActiveTournamentId] = useState(null);
-
-  useEffect(() => {
-    try {
-      const raw = localStorage.getItem(saveKey);
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        setTournaments(parsed);
-        if (parsed.length) setActiveTournamentId(parsed[0].id);
-      }
-    } catch (e) {
-      console.warn('Could not parse saved tournaments', e);
+  const [leagues, setLeagues] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [quarantine, setQuarantine] = useState([]);
+
+  // Carrega do armazenamento (IndexedDB) e salva cada registro alterado;
+  // outras abas são avisadas e conflitos ficam pendentes até o usuário decidir
+  const { ready, loadError, conflicts, resolveConflict } = useStorageSync(
+    {
+      tournaments: [tournaments, setTournaments],
+      leagues: [leagues, setLeagues],
+      profiles: [profiles, setProfiles],
+      templates: [templates, setTemplates],
+      quarantine: [quarantine, setQuarantine],
+    },
+    {
+      onLoaded: (stored) => {
+        if (stored.tournaments.length) setActiveTournamentId(stored.tournaments[0].id);
+        if (stored.quarantine.length) console.warn('Registros corrompidos em quarentena', stored.quarantine);
+      },
     }
-  }, []);
+  );
 
+  // Avança os níveis vencidos de todos os torneios em andamento,
+  // mesmo que a aba TV não esteja aberta
   useEffect(() => {
-    localStorage.setItem(saveKey, JSON.stringify(tournaments));
-  }, [tournaments]);
+    const interval = setInterval(() => {
+      const now = Date.now();
+      setTournaments((s) => {
+        let changed = false;
+        const next = s.map(t => {
+          // O relógio de um torneio aberto em outra aba é avançado por ela
+          if (isHeldByOtherTab(t.id, now)) return t;
+          const patch = advanceClock(t, now);
+          if (!patch) return t;
+          changed = true;
+          return applyLifecycle({ ...t, ...patch }, now);
+        });
+        return changed ? next : s;
+      });
+    }, 1000);
+    return () => clearInterval(interval);
+  }, []);
 
   const createTournament = (name = 'Novo Torneio') => {
     const t = {
       id: uid('tr_'),
       name,
       players: [],
-      blinds: [...defaultBlindStructure],
-      levelDuration: 10,
-      currentLevelIndex: 0,
-      timeLeft: 10 * 60,
-      isRunning: false,
-      stageWeight: 1.0,
-      buyInValue: 100,
-      buyInChips: 10000,
-      rebuyValue: 100,
-      rebuyChips: 10000,
-      addonValue: 50,
-      addonChips: 5000,
-      adminFeePercent: 10,
-      timeChipEnabled: false,
-      timeChipValue: 2000,
-      extraChipEnabled: false,
-      extraChipValue: 20,
-      extraChipAmount: 2000,
+      blinds: defaultBlindStructure.map(b => ({ ...b })),
+      ...tournamentDefaults(),
+      // O estojo de fichas e o layout da TV partem dos do torneio anterior
+      ...(tournaments[0]?.chipSet ? { chipSet: tournaments[0].chipSet } : {}),
+      ...(tournaments[0]?.tvLayout ? { tvLayout: tournaments[0].tvLayout } : {}),
     };
     setTournaments((s) => [t, ...s]);
     setActiveTournamentId(t.id);
   };
 
-  const updateTournament = (id, patch) => {
-    setTournaments((s) => s.map(t => t.id === id ? { ...t, ...patch } : t));
+  // Toda alteração passa por aqui: trava, estado, prêmios e log de auditoria
+  const updateTournament = (id, patch, type, note) => {
+    renewLock(id);
+    setTournaments((s) => s.map(t => {
+      if (t.id !== id || isHeldByOtherTab(id)) return t;
+      if (isLocked(t) && !isAllowedWhenLocked(patch, t)) return t;
+      return recordEvent(t, assignPrizes(applyLifecycle({ ...t, ...patch })), type, note);
+    }));
+  };
+
+  const undoTournament = (id) => {
+    if (isHeldByOtherTab(id)) return;
+    renewLock(id);
+    setTournaments((s) => s.map(t => (t.id === id ? assignPrizes(undo(t)) : t)));
+  };
+
+  const redoTournament = (id) => {
+    if (isHeldByOtherTab(id)) return;
+    renewLock(id);
+    setTournaments((s) => s.map(t => (t.id === id ? assignPrizes(redo(t)) : t)));
+  };
+
+  // Mudança manual de estado, respeitando as transições permitidas
+  const changeStatus = (id, to) => {
+    const t = tournaments.find(x => x.id === id);
+    if (!t || isHeldByOtherTab(id)) return false;
+    try {
+      updateTournament(id, transition(t, to), 'status.change');
+      return true;
+    } catch (e) {
+      window.alert(e.message);
+      return false;
+    }
+  };
+
+  // Ligas agrupam torneios como etapas de uma temporada
+  const createLeague = (name) => {
+    const league = newLeague(name);
+    setLeagues((s) => [...s, league]);
+    return league.id;
+  };
+
+  const updateLeague = (id, patch) => {
+    setLeagues((s) => s.map(l => (l.id === id ? { ...l, ...patch } : l)));
+  };
+
+  const removeLeague = (id) => {
+    setLeagues((s) => s.filter(l => l.id !== id));
+  };
+
+  // Cadastro de jogadores compartilhado; nomes repetidos reaproveitam o perfil existente
+  const createProfile = (fields) => {
+    const existing = profiles.find(p => normalizeName(p.name) === normalizeName(fields.name));
+    if (existing) return existing.id;
+    const profile = newProfile(fields);
+    setProfiles((s) => [...s, profile]);
+    return profile.id;
+  };
+
+  const updateProfile = (id, patch) => {
+    setProfiles((s) => s.map(p => (p.id === id ? { ...p, ...patch } : p)));
+  };
+
+  const removeProfile = (id) => {
+    setProfiles((s) => s.filter(p => p.id !== id));
+  };
+
+  // Modelos de estrutura de blinds salvos pelo clube (os prontos ficam em templates.js)
+  const addTemplates = (list) => {
+    setTemplates((s) => [...s, ...list]);
+  };
+
+  const removeTemplate = (id) => {
+    setTemplates((s) => s.filter(t => t.id !== id));
+  };
+
+  // Vincula jogadores de torneios antigos aos perfis de mesmo nome (um evento no histórico de cada torneio)
+  const linkPlayers = () => {
+    const linked = linkPlayersToProfiles(tournaments, profiles);
+    const changed = linked.filter((t, i) => t !== tournaments[i]);
+    const held = changed.filter(t => isHeldByOtherTab(t.id));
+    changed.forEach(t => updateTournament(t.id, { players: t.players }, 'player.link'));
+    if (held.length) {
+      window.alert(`Não vinculados (abertos para edição em outra aba): ${held.map(t => t.name).join(', ')}`);
+    }
+  };
+
+  // Restauração de backup: troca as coleções de uma vez
+  const replaceStore = (data) => {
+    setTournaments(data.tournaments);
+    setLeagues(data.leagues);
+    setProfiles(data.profiles);
+    setTemplates(data.templates);
+    setActiveTournamentId((cur) => (data.tournaments.some(t => t.id === cur) ? cur : (data.tournaments[0]?.id ?? null)));
   };
 
   const removeTournament = (id) => {
+    if (isHeldByOtherTab(id)) {
+      window.alert('Este torneio está aberto para edição em outra aba.');
+      return;
+    }
     setTournaments((s) => s.filter(t => t.id !== id));
     setActiveTournamentId((cur) => (cur === id ? (tournaments[0]?.id ?? null) : cur));
   };
@@ -95,23 +276,48 @@ const TournamentsProvider = ({ children }) => {
       setActiveTournamentId, 
       createTournament, 
       updateTournament, 
-      removeTournament 
+      removeTournament,
+      changeStatus,
+      undoTournament,
+      redoTournament,
+      leagues,
+      createLeague,
+      updateLeague,
+      removeLeague,
+      profiles,
+      createProfile,
+      updateProfile,
+      removeProfile,
+      linkPlayers,
+      templates,
+      addTemplates,
+      removeTemplate,
+      replaceStore,
+      quarantine,
+      setQuarantine,
+      conflicts,
+      resolveConflict
     }}>
-      {children}
+      {ready ? children : loadError ? (
+        <div className="min-h-screen flex flex-col items-center justify-center gap-4 bg-gray-900 text-gray-300 p-6 text-center">
+          <div className="text-xl text-red-400 font-semibold">Não foi possível carregar os dados salvos</div>
+          <div className="text-sm text-gray-400">{String(loadError.message || loadError)}</div>
+          <button onClick={() => window.location.reload()} className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded text-white">
+            Tentar novamente
+          </button>
+        </div>
+      ) : (
+        <div className="min-h-screen flex items-center justify-center bg-gray-900 text-gray-400">Carregando dados...</div>
+      )}
     </TournamentsContext.Provider>
   );
 };
 
-// --------- Formula ---------
-function calculateRanking(actions, position, stageWeight) {
-  if (position <= 0 || actions <= 0) return 0;
-  return Math.pow(((actions / position) * 100), 0.5) * stageWeight;
-}
-
 // --------- Components ---------
 
 const TopBar = ({ title, onCreate }) => {
-  const { createTournament } = useTournaments();
+  const { createTournament, tournaments, leagues, profiles, templates, replaceStore } = useTournaments();
+  const [showBackup, setShowBackup] = useState(false);
   return (
     <div className="flex items-center justify-between mb-4">
       <h1 className="text-3xl font-bold text-white flex items-center gap-3">
@@ -125,7 +331,20 @@ const TopBar = ({ title, onCreate }) => {
         >
           <Plus size={16} /> Novo Torneio
         </button>
+        <button 
+          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded text-white flex items-center gap-2" 
+          onClick={() => setShowBackup(true)}
+        >
+          <Database size={16} /> Backup
+        </button>
       </div>
+      {showBackup && (
+        <BackupDialog 
+          current={{ tournaments, leagues, profiles, templates }} 
+          onApply={replaceStore} 
+          onClose={() => setShowBackup(false)} 
+        />
+      )}
     </div>
   );
 };
@@ -142,7 +361,10 @@ const TournamentList = () => {
             className={`p-3 rounded-md cursor-pointer flex items-center justify-between ${t.id === activeTournamentId ? 'bg-green-700' : 'bg-gray-800'}`} 
             onClick={() => setActiveTournamentId(t.id)}
           >
-            <div className="text-white font-medium truncate">{t.name}</div>
+            <div className="min-w-0">
+              <div className="text-white font-medium truncate">{t.name}</div>
+              <div className="text-xs text-gray-300">{statusLabels[getStatus(t)]}</div>
+            </div>
             <div className="flex gap-2">
               <button 
                 onClick={(e) => { 
@@ -166,29 +388,12 @@ const TournamentList = () => {
 
 // TV Screen (Modo Admin)
 const TVScreen = ({ tournament, update }) => {
-  const [tick, setTick] = useState(0);
-
-  // Timer effect com duração específica por nível
-  useEffect(() => {
-    let interval;
-    if (tournament.isRunning && tournament.timeLeft > 0) {
-      interval = setInterval(() => {
-        update({ timeLeft: tournament.timeLeft - 1 });
-        setTick((t) => t + 1);
-      }, 1000);
-    } else if (tournament.isRunning && tournament.timeLeft === 0) {
-      const nextIndex = clamp(tournament.currentLevelIndex + 1, 0, tournament.blinds.length - 1);
-      const nextBlind = tournament.blinds[nextIndex];
-      const duration = nextBlind?.duration || (nextBlind?.isBreak ? nextBlind.breakDuration : tournament.levelDuration);
-      
-      update({ 
-        currentLevelIndex: nextIndex, 
-        timeLeft: duration * 60,
-        isRunning: nextIndex === tournament.blinds.length - 1 ? false : tournament.isRunning 
-      });
-    }
-    return () => clearInterval(interval);
-  }, [tournament.isRunning, tournament.timeLeft, tournament.currentLevelIndex, tournament.blinds, tournament.levelDuration, update]);
+  const { changeStatus } = useTournaments();
+  // O tempo restante é derivado do horário real (ver clock.js)
+  const now = useNow();
+  const timeLeft = getTimeLeft(tournament, now);
+  const status = getStatus(tournament);
+  const locked = isLocked(tournament);
 
   const currentLevel = tournament.blinds[tournament.currentLevelIndex] || { 
     level: 0, 
@@ -198,34 +403,24 @@ const TVScreen = ({ tournament, update }) => {
     isBreak: false 
   };
 
-  const formatTime = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
-  };
-
-  const totalPrizePool = tournament.players.reduce((s, p) => {
-    const actionsTotal = p.actions * tournament.buyInValue;
-    const addonsTotal = p.addons * tournament.addonValue;
-    const extraChipTotal = p.hasExtraChip ? tournament.extraChipValue : 0;
-    const total = actionsTotal + addonsTotal + extraChipTotal;
-    const afterFee = total * (1 - tournament.adminFeePercent / 100);
-    return s + afterFee;
-  }, 0);
+  const totalPrizePool = calculatePrizePool(tournament);
+  const stats = tournamentStats(tournament);
 
   // Função para abrir TV em nova janela
   const openTVWindow = () => {
     const tvWindow = window.open('/tv', 'tv-screen', 'width=1200,height=800,menubar=no,toolbar=no,location=no');
     if (tvWindow) {
-      localStorage.setItem('current_tv_tournament', JSON.stringify(tournament));
-      localStorage.setItem('current_tv_tournament_id', tournament.id);
+      selectTVTournament(tournament);
     }
   };
 
   return (
     <div className="bg-gray-800 p-6 rounded-lg space-y-6">
       <div className="flex justify-between items-center">
-        <h3 className="text-2xl font-bold text-white">Tela TV (Modo Admin)</h3>
+        <h3 className="text-2xl font-bold text-white flex items-center gap-3">
+          Tela TV (Modo Admin)
+          <span className="text-sm font-semibold px-3 py-1 rounded bg-gray-700 text-gray-200">{statusLabels[status]}</span>
+        </h3>
         <button 
           onClick={openTVWindow}
           className="px-6 py-3 bg-red-600 hover:bg-red-700 rounded-lg text-white font-bold flex items-center gap-2"
@@ -239,7 +434,7 @@ const TVScreen = ({ tournament, update }) => {
 
       <div className="bg-black rounded-lg p-6 text-center text-white shadow-lg">
         <div className="text-6xl font-mono font-extrabold text-green-400 mb-4">
-          {formatTime(tournament.timeLeft)}
+          {formatTime(timeLeft)}
         </div>
         
         <div className="text-xl mb-2">
@@ -263,6 +458,10 @@ const TVScreen = ({ tournament, update }) => {
           </div>
         )}
 
+        <NextLevelInfo tournament={tournament} now={now} />
+
+        <ColorUpNotice tournament={tournament} />
+
         <div className="flex justify-center gap-6 my-6">
           <div className="text-center">
             <div className="text-sm text-gray-400">Prize Pool</div>
@@ -276,47 +475,98 @@ const TVScreen = ({ tournament, update }) => {
             <div className="text-sm text-gray-400">Nível Duração</div>
             <div className="text-2xl font-bold">{currentLevel.duration || tournament.levelDuration} min</div>
           </div>
+          <div className="text-center">
+            <div className="text-sm text-gray-400">Stack Médio</div>
+            <div className="text-2xl font-bold">
+              {Math.round(stats.averageStack).toLocaleString()}
+              {stats.averageBB != null && <span className="text-base text-gray-400"> ({stats.averageBB.toFixed(1)} BB)</span>}
+            </div>
+          </div>
+          {getRegistrationCloseIndex(tournament) !== null && (
+            <div className="text-center">
+              <div className="text-sm text-gray-400">Inscrições</div>
+              <div className="text-2xl font-bold">
+                {isRegistrationOpen(tournament, now) ? formatDuration(getTimeUntilRegistrationClose(tournament, now)) : 'Encerradas'}
+              </div>
+              {isRegistrationOpen(tournament, now) && (
+                <div className="text-sm text-gray-400">às {formatClockAt(getTimeUntilRegistrationClose(tournament, now), now)}</div>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Controls */}
         <div className="flex gap-3 justify-center mt-6 flex-wrap">
           <button 
-            onClick={() => update({ isRunning: !tournament.isRunning })} 
-            className={`px-6 py-3 rounded-lg font-bold flex items-center gap-2 ${tournament.isRunning ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}
+            onClick={() => update(
+              tournament.isRunning ? pauseClock(tournament) : startClock(tournament),
+              tournament.isRunning ? 'clock.pause' : 'clock.start'
+            )} 
+            disabled={locked}
+            className={`px-6 py-3 rounded-lg font-bold flex items-center gap-2 disabled:opacity-50 ${tournament.isRunning ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}
           >
             {tournament.isRunning ? <Pause size={18} /> : <Play size={18} />} 
             {tournament.isRunning ? 'Pausar' : 'Iniciar'}
           </button>
           
           <button 
-            onClick={() => update({ isRunning: false, currentLevelIndex: 0, timeLeft: tournament.levelDuration * 60 })} 
-            className="px-6 py-3 bg-gray-700 hover:bg-gray-600 rounded-lg flex items-center gap-2"
+            onClick={() => (getStatus(tournament) === STATUS.REGISTRATION
+              || window.confirm('Reiniciar o relógio? O torneio volta para o estado de inscrições.'))
+              && update({ ...resetClock(), ...transition(tournament, STATUS.REGISTRATION) }, 'clock.reset')} 
+            disabled={locked}
+            className="px-6 py-3 bg-gray-700 hover:bg-gray-600 rounded-lg flex items-center gap-2 disabled:opacity-50"
           >
             <RotateCcw size={18} /> Reiniciar
           </button>
           
           <button 
-            onClick={() => update({ 
-              currentLevelIndex: clamp(tournament.currentLevelIndex - 1, 0, tournament.blinds.length - 1), 
-              timeLeft: (tournament.blinds[tournament.currentLevelIndex - 1]?.duration || tournament.levelDuration) * 60 
-            })} 
-            className="px-6 py-3 bg-blue-600 hover:bg-blue-700 rounded-lg"
+            onClick={() => update(setClockLevel(tournament, tournament.currentLevelIndex - 1), 'clock.level')} 
+            disabled={locked}
+            className="px-6 py-3 bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
           >
             ← Nível Anterior
           </button>
           
           <button 
-            onClick={() => update({ 
-              currentLevelIndex: clamp(tournament.currentLevelIndex + 1, 0, tournament.blinds.length - 1), 
-              timeLeft: (tournament.blinds[tournament.currentLevelIndex + 1]?.duration || tournament.levelDuration) * 60 
-            })} 
-            className="px-6 py-3 bg-blue-600 hover:bg-blue-700 rounded-lg"
+            onClick={() => update(setClockLevel(tournament, tournament.currentLevelIndex + 1), 'clock.level')} 
+            disabled={locked}
+            className="px-6 py-3 bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
           >
             Próximo Nível →
           </button>
         </div>
+
+        {/* Ciclo de vida */}
+        <div className="flex gap-3 justify-center mt-4 flex-wrap">
+          {!locked && (
+            <button 
+              onClick={() => window.confirm('Encerrar o torneio? Os resultados ficarão travados.') && changeStatus(tournament.id, STATUS.FINISHED)} 
+              className="px-6 py-3 bg-yellow-600 hover:bg-yellow-700 rounded-lg text-black font-bold"
+            >
+              Encerrar Torneio
+            </button>
+          )}
+          {status === STATUS.FINISHED && (
+            <button 
+              onClick={() => changeStatus(tournament.id, STATUS.ARCHIVED)} 
+              className="px-6 py-3 bg-gray-700 hover:bg-gray-600 rounded-lg"
+            >
+              Arquivar
+            </button>
+          )}
+          {status === STATUS.ARCHIVED && (
+            <button 
+              onClick={() => changeStatus(tournament.id, STATUS.FINISHED)} 
+              className="px-6 py-3 bg-gray-700 hover:bg-gray-600 rounded-lg"
+            >
+              Desarquivar
+            </button>
+          )}
+        </div>
       </div>
 
+      <TVLayoutEditor tournament={tournament} save={update} />
+
       {/* Instruções */}
       <div className="bg-gray-900 p-4 rounded-lg">
         <div className="text-gray-300 text-sm">
@@ -331,40 +581,119 @@ const TVScreen = ({ tournament, update }) => {
 // Admin Panel
 const AdminPanel = ({ tournament, save }) => {
   const [newPlayerName, setNewPlayerName] = useState('');
+  const [eliminatingId, setEliminatingId] = useState(null);
+  const [selectedProfileId, setSelectedProfileId] = useState(null);
+  const { profiles, createProfile } = useTournaments();
+  const locked = isLocked(tournament);
+  const rules = getRules(tournament);
 
   useEffect(() => { 
     setNewPlayerName(''); 
+    setSelectedProfileId(null);
   }, [tournament.id]);
 
+  // Com o sorteio automático ligado, quem entra ou volta ao torneio já recebe mesa e assento
+  const seatPlayers = (players) => (getTables(tournament).autoSeat ? ensureSeats(tournament, players) : players);
+
   const addPlayer = () => {
-    if (!newPlayerName.trim()) return;
+    if (locked || !newPlayerName.trim()) return;
+
+    // Jogador vem do cadastro (escolhido na lista ou com o mesmo nome)
+    const profile = profiles.find(x => x.id === selectedProfileId) || findProfileByName(profiles, newPlayerName);
+    if (profile?.blocked) {
+      window.alert(`${profile.name} está bloqueado no cadastro de jogadores.`);
+      return;
+    }
+    if (profile && tournament.players.some(x => x.profileId === profile.id)
+      && !window.confirm(`${profile.name} já está inscrito neste torneio. Inscrever novamente?`)) return;
+
+    // Inscrições encerradas só com liberação explícita do diretor
+    const registrationOpen = isRegistrationOpen(tournament);
+    if (!registrationOpen && !window.confirm(`Inscrições encerradas. Inscrever ${newPlayerName.trim()} mesmo assim?`)) return;
     
     const isTimeChipEligible = tournament.timeChipEnabled && tournament.currentLevelIndex < 2;
     const timeChipBonus = isTimeChipEligible ? tournament.timeChipValue : 0;
     
-    const p = { 
+    const p = buyBounty({ 
       id: Date.now(), 
-      name: newPlayerName.trim(), 
+      profileId: profile ? profile.id : createProfile({ name: newPlayerName }),
+      name: profile ? profile.name : newPlayerName.trim(), 
       actions: 1,
       rebuys: 0, 
       addons: 0,
-      chips: tournament.buyInChips + timeChipBonus, 
+      chips: getEntryStack(tournament) + timeChipBonus, 
+      entryChips: getEntryStack(tournament),
       position: null, 
       prize: 0, 
       active: true,
       hasTimeChip: isTimeChipEligible,
       hasExtraChip: false,
-    };
-    save({ players: [...tournament.players, p] });
+      lateEntry: isLateEntry(tournament),
+    }, getEntryBounty(tournament));
+    save(
+      { players: seatPlayers([...tournament.players, p]) },
+      registrationOpen ? 'player.add' : 'player.lateOverride',
+      registrationOpen ? undefined : 'Inscrição após o fechamento'
+    );
     setNewPlayerName('');
+    setSelectedProfileId(null);
   };
 
-  const updatePlayer = (id, patch) => {
-    save({ players: tournament.players.map(p => p.id === id ? { ...p, ...patch } : p) });
+  const updatePlayer = (id, patch, type = 'player.update') => {
+    save({ players: tournament.players.map(p => p.id === id ? { ...p, ...patch } : p) }, type);
   };
 
   const removePlayer = (id) => {
-    save({ players: tournament.players.filter(p => p.id !== id) });
+    save({ players: tournament.players.filter(p => p.id !== id) }, 'player.remove');
+  };
+
+  const eliminate = (busts, tieMode) => {
+    // Bounties são pagos antes de zerar as fichas dos eliminados
+    const players = collectBounties(tournament, tournament.players, busts);
+    save({ players: eliminatePlayers(players, busts, tieMode) }, 'player.eliminate');
+    setEliminatingId(null);
+  };
+
+  const reinstate = (id) => {
+    save({ players: seatPlayers(reinstatePlayer(revertKnockout(tournament.players, id), id)) }, 'player.reinstate');
+  };
+
+  const saveRules = (patch) => save({ rebuyRules: { ...rules, ...patch } });
+  const saveLateRegistration = (patch) => save({ lateRegistration: { ...getLateRegistration(tournament), ...patch } });
+  const bounty = getBounty(tournament);
+  const saveBounty = (patch) => save({ bounty: { ...bounty, ...patch } });
+
+  // Ação fora da regra só passa com confirmação explícita, e fica registrada no histórico
+  const confirmOverride = (player, violations, action) => {
+    if (!violations.length) return { allowed: true, note: undefined };
+    const ok = window.confirm(`${action} de ${player.name} fora da regra:\n\n- ${violations.join('\n- ')}\n\nLiberar mesmo assim?`);
+    return { allowed: ok, note: `Regra ignorada: ${violations.join('; ')}` };
+  };
+
+  // Rebuy de jogador eliminado também o recoloca no torneio (re-entry)
+  const rebuy = (p) => {
+    const violations = checkRebuy(tournament, p);
+    const { allowed, note } = confirmOverride(p, violations, 'Rebuy');
+    if (!allowed) return;
+    // Cada rebuy/re-entry compra um novo bounty
+    const players = rebuyPlayer(tournament.players, p.id, tournament.rebuyChips)
+      .map(x => (x.id === p.id ? buyBounty(x, getRebuyBounty(tournament)) : x));
+    save(
+      { players: seatPlayers(players) },
+      violations.length ? 'player.rebuyOverride' : 'player.rebuy',
+      note
+    );
+  };
+
+  const addon = (p) => {
+    const violations = checkAddon(tournament, p);
+    const { allowed, note } = confirmOverride(p, violations, 'Add-on');
+    if (!allowed) return;
+    save(
+      { players: tournament.players.map(x => x.id === p.id ? { ...x, addons: x.addons + 1, chips: x.chips + tournament.addonChips } : x) },
+      violations.length ? 'player.addonOverride' : 'player.addon',
+      note
+    );
   };
 
   const exportCSV = () => {
@@ -378,11 +707,17 @@ const AdminPanel = ({ tournament, save }) => {
       hasExtraChip: p.hasExtraChip,
       chips: p.chips, 
       position: p.position, 
-      prize: p.prize 
+      prize: p.prize,
+      ...(bounty.enabled ? {
+        bounty: p.bounty || 0,
+        bountyWinnings: getBountyWinnings(tournament, p),
+        knockouts: countKnockouts(tournament.players, p.id),
+      } : {}),
     }));
     const header = Object.keys(rows[0] || {}).join(',') + '\n';
     const body = rows.map(r => Object.values(r).join(',')).join('\n');
-    const csv = header + body;
+    // Histórico de ações vai junto com os resultados
+    const csv = header + body + '\n\n' + historyToCSV(tournament);
     const blob = new Blob([csv], { type: 'text/csv' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -395,6 +730,15 @@ const AdminPanel = ({ tournament, save }) => {
   return (
     <div className="bg-gray-800 p-4 rounded-lg space-y-4">
       <h3 className="text-xl font-bold text-white">Painel Administrativo</h3>
+
+      {locked && (
+        <div className="bg-yellow-900 text-yellow-100 p-3 rounded">
+          Torneio {statusLabels[getStatus(tournament)].toLowerCase()}: os resultados estão travados.
+        </div>
+      )}
+
+      {/* Mesas a quebrar ou balancear depois das eliminações */}
+      {!locked && <TableSuggestions tournament={tournament} save={save} />}
       
       {/* Configurações do Torneio */}
       <div className="bg-gray-900 p-4 rounded">
@@ -406,10 +750,7 @@ const AdminPanel = ({ tournament, save }) => {
               type="number" 
               className="w-full p-2 rounded bg-black text-white" 
               value={tournament.levelDuration} 
-              onChange={(e)=> save({ 
-                levelDuration: clamp(Number(e.target.value)||1,1,180), 
-                timeLeft: clamp(Number(e.target.value)||1,1,180)*60 
-              })} 
+              onChange={(e)=> save({ levelDuration: clamp(Number(e.target.value)||1,1,180) })} 
             />
           </div>
           <div>
@@ -418,10 +759,7 @@ const AdminPanel = ({ tournament, save }) => {
               type="number" 
               className="w-full p-2 rounded bg-black text-white" 
               value={tournament.currentLevelIndex} 
-              onChange={(e)=> save({ 
-                currentLevelIndex: clamp(Number(e.target.value)||0,0,tournament.blinds.length-1), 
-                timeLeft: tournament.levelDuration*60 
-              })} 
+              onChange={(e)=> save(setClockLevel(tournament, Number(e.target.value)||0), 'clock.level')} 
             />
           </div>
           <div>
@@ -435,13 +773,12 @@ const AdminPanel = ({ tournament, save }) => {
             />
           </div>
           <div>
-            <label className="block text-sm text-gray-400 mb-1">Taxa Admin (%)</label>
+            <label className="block text-sm text-gray-400 mb-1">Mesa final (jogadores)</label>
             <input 
               type="number" 
-              step="0.1" 
               className="w-full p-2 rounded bg-black text-white" 
-              value={tournament.adminFeePercent} 
-              onChange={(e)=> save({ adminFeePercent: Number(e.target.value) || 0 })} 
+              value={tournament.finalTableSize ?? 9} 
+              onChange={(e)=> save({ finalTableSize: clamp(Number(e.target.value) || 9, 2, 12) })} 
             />
           </div>
         </div>
@@ -497,6 +834,43 @@ const AdminPanel = ({ tournament, save }) => {
           </div>
         </div>
 
+        {/* Taxas por tipo de transação */}
+        <div className="mt-4 bg-black p-3 rounded">
+          <div className="font-semibold text-white mb-2">Taxas e Garantido</div>
+          <div className="grid grid-cols-6 gap-3">
+            {TRANSACTION_TYPES.map(type => (
+              <div key={type}>
+                <label className="block text-sm text-gray-400 mb-1">Taxa {transactionLabels[type]} (%)</label>
+                <input 
+                  type="number" 
+                  step="0.1" 
+                  className="w-full p-2 rounded bg-gray-800 text-white" 
+                  value={getFeeRules(tournament)[type]} 
+                  onChange={(e)=> save({ feeRules: { ...getFeeRules(tournament), [type]: clamp(Number(e.target.value) || 0, 0, 100) } })} 
+                />
+              </div>
+            ))}
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Dealer/Staff (R$)</label>
+              <input 
+                type="number" 
+                className="w-full p-2 rounded bg-gray-800 text-white" 
+                value={tournament.staffFee || 0} 
+                onChange={(e)=> save({ staffFee: Math.max(0, Number(e.target.value) || 0) })} 
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Garantido (R$)</label>
+              <input 
+                type="number" 
+                className="w-full p-2 rounded bg-gray-800 text-white" 
+                value={tournament.guaranteedPrizePool || 0} 
+                onChange={(e)=> save({ guaranteedPrizePool: Math.max(0, Number(e.target.value) || 0) })} 
+              />
+            </div>
+          </div>
+        </div>
+
         {/* Time Chip e Extra Chip */}
         <div className="mt-4 grid grid-cols-2 gap-4">
           <div className="bg-black p-3 rounded">
@@ -548,29 +922,267 @@ const AdminPanel = ({ tournament, save }) => {
             />
           </div>
         </div>
+
+        {/* Regras de Rebuy e Add-on */}
+        <div className="mt-4 grid grid-cols-2 gap-4">
+          <div className="bg-black p-3 rounded space-y-2">
+            <div className="font-semibold text-white">Regras de Rebuy</div>
+            <label className="block text-sm text-gray-400">Período de rebuy</label>
+            <div className="flex gap-2">
+              <select 
+                className="flex-1 p-2 rounded bg-gray-800 text-white" 
+                value={rules.rebuyPeriod} 
+                onChange={(e)=> saveRules({ rebuyPeriod: e.target.value })}
+              >
+                <option value="firstBreak">Até o fim do 1º intervalo</option>
+                <option value="level">Até o nível...</option>
+                <option value="none">Sem limite de período</option>
+              </select>
+              {rules.rebuyPeriod === 'level' && (
+                <select 
+                  className="p-2 rounded bg-gray-800 text-white" 
+                  value={rules.rebuyUntilIndex} 
+                  onChange={(e)=> saveRules({ rebuyUntilIndex: Number(e.target.value) })}
+                >
+                  {tournament.blinds.map((b, i) => !b.isBreak && (
+                    <option key={i} value={i}>Nível {b.level}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+            <label className="block text-sm text-gray-400">Máximo de rebuys por jogador (0 = sem limite)</label>
+            <input 
+              type="number" 
+              className="w-full p-2 rounded bg-gray-800 text-white" 
+              value={rules.maxRebuys} 
+              onChange={(e)=> saveRules({ maxRebuys: Math.max(0, Number(e.target.value) || 0) })}
+            />
+            <label className="flex items-center gap-2 text-sm text-gray-300">
+              <input 
+                type="checkbox" 
+                className="w-4 h-4"
+                checked={rules.rebuyAtOrBelowStart} 
+                onChange={(e)=> saveRules({ rebuyAtOrBelowStart: e.target.checked })}
+              />
+              Só com stack igual ou abaixo do inicial
+            </label>
+          </div>
+          <div className="bg-black p-3 rounded space-y-2">
+            <div className="font-semibold text-white">Regras de Add-on</div>
+            <label className="block text-sm text-gray-400">Add-on permitido</label>
+            <select 
+              className="w-full p-2 rounded bg-gray-800 text-white" 
+              value={rules.addonBreak} 
+              onChange={(e)=> saveRules({ addonBreak: e.target.value })}
+            >
+              <option value="firstBreak">No 1º intervalo</option>
+              {tournament.blinds.map((b, i) => b.isBreak && (
+                <option key={i} value={String(i)}>No intervalo do nível {b.level}</option>
+              ))}
+              <option value="any">A qualquer momento</option>
+            </select>
+            <label className="flex items-center gap-2 text-sm text-gray-300">
+              <input 
+                type="checkbox" 
+                className="w-4 h-4"
+                checked={rules.addonOncePerPlayer} 
+                onChange={(e)=> saveRules({ addonOncePerPlayer: e.target.checked })}
+              />
+              Um add-on por jogador
+            </label>
+            <div className="text-xs text-gray-400">
+              Ações fora da regra pedem confirmação e ficam registradas no histórico.
+            </div>
+          </div>
+        </div>
+
+        {/* Bounty / PKO */}
+        <div className="mt-4 bg-black p-3 rounded">
+          <label className="flex items-center gap-2 text-white mb-2">
+            <input 
+              type="checkbox" 
+              checked={bounty.enabled} 
+              onChange={(e)=> saveBounty({ enabled: e.target.checked })}
+              className="w-4 h-4"
+            />
+            <span className="font-semibold">Bounty</span>
+          </label>
+          <div className="text-xs text-gray-400 mb-2">Parte de cada buy-in e rebuy vai para a cabeça do jogador, paga a quem eliminá-lo</div>
+          <div className="grid grid-cols-4 gap-3">
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Formato</label>
+              <select 
+                className="w-full p-2 rounded bg-gray-800 text-white" 
+                value={bounty.mode} 
+                onChange={(e)=> saveBounty({ mode: e.target.value })}
+                disabled={!bounty.enabled}
+              >
+                {Object.values(BOUNTY_MODES).map(mode => (
+                  <option key={mode} value={mode}>{bountyModeLabels[mode]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Bounty por entrada (R$)</label>
+              <input 
+                type="number" 
+                className="w-full p-2 rounded bg-gray-800 text-white" 
+                value={bounty.amount} 
+                onChange={(e)=> saveBounty({ amount: clamp(Number(e.target.value) || 0, 0, tournament.buyInValue) })}
+                disabled={!bounty.enabled}
+              />
+            </div>
+            <div>
+              <label className="flex items-center gap-2 text-sm text-gray-300 mb-1">
+                <input 
+                  type="checkbox" 
+                  className="w-4 h-4"
+                  checked={getLateRegistration(tournament).lateBountyEnabled} 
+                  onChange={(e)=> saveLateRegistration({ lateBountyEnabled: e.target.checked })}
+                  disabled={!bounty.enabled}
+                />
+                Bounty tardio (%)
+              </label>
+              <input 
+                type="number" 
+                className="w-full p-2 rounded bg-gray-800 text-white" 
+                value={getLateRegistration(tournament).lateBountyPercent} 
+                onChange={(e)=> saveLateRegistration({ lateBountyPercent: clamp(Number(e.target.value) || 0, 0, 100) })}
+                disabled={!bounty.enabled || !getLateRegistration(tournament).lateBountyEnabled}
+              />
+            </div>
+            <div className="text-xs text-gray-400 self-end">
+              {bounty.mode === BOUNTY_MODES.PROGRESSIVE
+                ? 'PKO: metade da cabeça é paga a quem elimina, a outra metade soma na cabeça dele.'
+                : 'Fixo: quem elimina recebe a cabeça inteira.'}
+              {' '}Inscrições tardias recebem a porcentagem indicada do bounty; o restante vai para o prize pool.
+            </div>
+          </div>
+        </div>
+
+        {/* Inscrição tardia */}
+        <div className="mt-4 bg-black p-3 rounded">
+          <div className="font-semibold text-white mb-2">Inscrição Tardia</div>
+          <div className="grid grid-cols-4 gap-3">
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Fechamento</label>
+              <select 
+                className="w-full p-2 rounded bg-gray-800 text-white" 
+                value={getLateRegistration(tournament).mode} 
+                onChange={(e)=> saveLateRegistration({ mode: e.target.value })}
+              >
+                <option value="level">No fim do nível...</option>
+                <option value="firstBreak">No fim do 1º intervalo</option>
+                <option value="none">Sem fechamento</option>
+              </select>
+            </div>
+            {getLateRegistration(tournament).mode === 'level' && (
+              <div>
+                <label className="block text-sm text-gray-400 mb-1">Nível</label>
+                <select 
+                  className="w-full p-2 rounded bg-gray-800 text-white" 
+                  value={getLateRegistration(tournament).closeIndex} 
+                  onChange={(e)=> saveLateRegistration({ closeIndex: Number(e.target.value) })}
+                >
+                  {tournament.blinds.map((b, i) => !b.isBreak && (
+                    <option key={i} value={i}>Nível {b.level}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div>
+              <label className="flex items-center gap-2 text-sm text-gray-300 mb-1">
+                <input 
+                  type="checkbox" 
+                  className="w-4 h-4"
+                  checked={getLateRegistration(tournament).reducedStackEnabled} 
+                  onChange={(e)=> saveLateRegistration({ reducedStackEnabled: e.target.checked })}
+                />
+                Stack reduzido (%)
+              </label>
+              <input 
+                type="number" 
+                className="w-full p-2 rounded bg-gray-800 text-white" 
+                value={getLateRegistration(tournament).reducedStackPercent} 
+                onChange={(e)=> saveLateRegistration({ reducedStackPercent: clamp(Number(e.target.value) || 100, 1, 100) })}
+                disabled={!getLateRegistration(tournament).reducedStackEnabled}
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Reduzir a partir do</label>
+              <select 
+                className="w-full p-2 rounded bg-gray-800 text-white" 
+                value={getLateRegistration(tournament).reducedStackFromIndex} 
+                onChange={(e)=> saveLateRegistration({ reducedStackFromIndex: Number(e.target.value) })}
+                disabled={!getLateRegistration(tournament).reducedStackEnabled}
+              >
+                {tournament.blinds.map((b, i) => (
+                  <option key={i} value={i}>{b.isBreak ? 'Intervalo' : 'Nível'} {b.level}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
       </div>
 
       {/* Adicionar Jogador */}
       <div className="bg-gray-900 p-4 rounded">
         <div className="text-gray-300 font-semibold mb-2">Adicionar Jogador</div>
+        {isRegistrationOpen(tournament) ? (
+          getRegistrationCloseIndex(tournament) !== null && (
+            <div className="text-sm text-gray-300 mb-2">
+              Inscrições abertas • fecham em {formatDuration(getTimeUntilRegistrationClose(tournament))}
+              {getEntryStack(tournament) !== tournament.buyInChips && ` • Stack reduzido: ${getEntryStack(tournament).toLocaleString()}`}
+            </div>
+          )
+        ) : (
+          <div className="text-sm text-orange-300 mb-2">
+            Inscrições encerradas • novas inscrições pedem liberação do diretor
+          </div>
+        )}
         {tournament.timeChipEnabled && tournament.currentLevelIndex < 2 && (
           <div className="text-sm text-green-400 mb-2">
             ✓ Time Chip ativo - Jogador receberá +{tournament.timeChipValue} fichas
           </div>
         )}
         <div className="flex gap-2">
-          <input 
-            className="flex-1 p-2 rounded bg-black text-white" 
-            placeholder="Nome do jogador" 
-            value={newPlayerName} 
-            onChange={(e)=>setNewPlayerName(e.target.value)} 
-          />
-          <button onClick={addPlayer} className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded text-white">
+          <div className="flex-1 relative">
+            <input 
+              className="w-full p-2 rounded bg-black text-white" 
+              placeholder="Nome do jogador" 
+              value={newPlayerName} 
+              onChange={(e)=> { setNewPlayerName(e.target.value); setSelectedProfileId(null); }} 
+              onKeyDown={(e)=> e.key === 'Enter' && addPlayer()}
+            />
+            {/* Autocompletar a partir do cadastro */}
+            {!selectedProfileId && searchProfiles(profiles, newPlayerName).length > 0 && (
+              <div className="absolute z-10 left-0 right-0 mt-1 bg-gray-800 rounded shadow-lg">
+                {searchProfiles(profiles, newPlayerName).map(pf => (
+                  <div 
+                    key={pf.id} 
+                    onClick={()=> { setNewPlayerName(pf.name); setSelectedProfileId(pf.id); }} 
+                    className="px-3 py-2 text-white hover:bg-gray-700 cursor-pointer flex items-center gap-2"
+                  >
+                    {pf.name}
+                    {pf.nickname && <span className="text-xs text-gray-400">({pf.nickname})</span>}
+                    {pf.blocked && <span className="text-xs bg-red-700 px-2 py-0.5 rounded">BLOQUEADO</span>}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+          <button onClick={addPlayer} disabled={locked} className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded text-white disabled:opacity-50">
             Adicionar
           </button>
           <button onClick={exportCSV} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded text-white">
             Exportar CSV
           </button>
+          <button 
+            onClick={async ()=> downloadBackup(createTournamentBackup(tournament, profiles, await exportImages([tournament])), tournament.name)} 
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded text-white"
+          >
+            Exportar JSON
+          </button>
         </div>
       </div>
 
@@ -579,9 +1191,7 @@ const AdminPanel = ({ tournament, save }) => {
         <div className="text-gray-300 font-semibold mb-2">Jogadores ({tournament.players.length})</div>
         <div className="space-y-2 max-h-96 overflow-auto">
           {tournament.players.map(p => {
-            const totalPaid = (p.actions * tournament.buyInValue) + 
-                            (p.addons * tournament.addonValue) + 
-                            (p.hasExtraChip ? tournament.extraChipValue : 0);
+            const totalPaid = playerInvestment(tournament, p);
             return (
               <div key={p.id} className="flex items-center justify-between p-3 bg-black rounded">
                 <div>
@@ -589,29 +1199,39 @@ const AdminPanel = ({ tournament, save }) => {
                     {p.name}
                     {p.hasTimeChip && <span className="text-xs bg-green-700 px-2 py-0.5 rounded">TIME</span>}
                     {p.hasExtraChip && <span className="text-xs bg-purple-700 px-2 py-0.5 rounded">EXTRA</span>}
+                    {bounty.enabled && p.active && (
+                      <span className="text-xs bg-red-900 px-2 py-0.5 rounded">BOUNTY R$ {(p.bounty || 0).toFixed(2)}</span>
+                    )}
+                    {p.active && p.table && p.seat && (
+                      <span className="text-xs bg-gray-700 px-2 py-0.5 rounded">Mesa {p.table} • Assento {p.seat}</span>
+                    )}
+                    {!p.active && p.position && (
+                      <span className="text-xs bg-red-800 px-2 py-0.5 rounded">ELIMINADO • {p.position}º</span>
+                    )}
                   </div>
                   <div className="text-sm text-gray-400">
                     Ações: {p.actions} (Buy-in + {p.rebuys} rebuys) • Addons: {p.addons} • Chips: {p.chips.toLocaleString()}
                   </div>
                   <div className="text-xs text-gray-500 mt-1">
                     Total pago: R$ {totalPaid.toFixed(2)}
+                    {bounty.enabled && ` • Bounties ganhos: R$ ${getBountyWinnings(tournament, p).toFixed(2)} (${countKnockouts(tournament.players, p.id)} KOs)`}
                   </div>
                 </div>
-                <div className="flex gap-2 items-center">
+                <fieldset disabled={locked} className="flex gap-2 items-center disabled:opacity-50">
                   <div className="flex flex-col gap-1">
                     <input 
                       type="number" 
                       value={p.chips} 
-                      onChange={(e)=> updatePlayer(p.id, { chips: Number(e.target.value) })} 
+                      onChange={(e)=> updatePlayer(p.id, { chips: Number(e.target.value) }, 'player.chips')} 
                       className="w-24 p-1 rounded bg-gray-800 text-white text-sm" 
                       placeholder="Fichas"
                     />
-                    {tournament.extraChipEnabled && !p.hasExtraChip && (
+                    {p.active && tournament.extraChipEnabled && !p.hasExtraChip && (
                       <button 
                         onClick={()=> updatePlayer(p.id, { 
                           hasExtraChip: true,
                           chips: p.chips + tournament.extraChipAmount 
-                        })} 
+                        }, 'player.extraChip')} 
                         className="px-2 py-1 bg-purple-600 hover:bg-purple-700 rounded text-white text-xs whitespace-nowrap"
                       >
                         +Extra Chip
@@ -619,45 +1239,57 @@ const AdminPanel = ({ tournament, save }) => {
                     )}
                   </div>
                   <button 
-                    onClick={()=> updatePlayer(p.id, { 
-                      rebuys: p.rebuys + 1, 
-                      actions: p.actions + 1,
-                      chips: p.chips + tournament.rebuyChips 
-                    })} 
-                    className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-white text-sm whitespace-nowrap"
+                    onClick={()=> rebuy(p)} 
+                    title={checkRebuy(tournament, p).join('\n')}
+                    className={`px-3 py-1 rounded text-white text-sm whitespace-nowrap ${checkRebuy(tournament, p).length ? 'bg-gray-700 hover:bg-gray-600' : 'bg-blue-600 hover:bg-blue-700'}`}
                   >
-                    +Rebuy
-                  </button>
-                  <button 
-                    onClick={()=> updatePlayer(p.id, { 
-                      addons: p.addons + 1,
-                      chips: p.chips + tournament.addonChips 
-                    })} 
-                    className="px-3 py-1 bg-purple-600 hover:bg-purple-700 rounded text-white text-sm whitespace-nowrap"
-                  >
-                    +Addon
-                  </button>
-                  <button 
-                    onClick={()=> updatePlayer(p.id, { 
-                      active: false, 
-                      position: tournament.players.filter(x=>x.active).length 
-                    })} 
-                    className="px-3 py-1 bg-red-600 hover:bg-red-700 rounded text-white text-sm"
-                  >
-                    Eliminar
+                    {p.active ? '+Rebuy' : 'Re-entry'}
                   </button>
+                  {p.active && (
+                    <button 
+                      onClick={()=> addon(p)} 
+                      title={checkAddon(tournament, p).join('\n')}
+                      className={`px-3 py-1 rounded text-white text-sm whitespace-nowrap ${checkAddon(tournament, p).length ? 'bg-gray-700 hover:bg-gray-600' : 'bg-purple-600 hover:bg-purple-700'}`}
+                    >
+                      +Addon
+                    </button>
+                  )}
+                  {p.active ? (
+                    <button 
+                      onClick={()=> setEliminatingId(p.id)} 
+                      className="px-3 py-1 bg-red-600 hover:bg-red-700 rounded text-white text-sm"
+                    >
+                      Eliminar
+                    </button>
+                  ) : (
+                    <button 
+                      onClick={()=> reinstate(p.id)} 
+                      className="px-3 py-1 bg-green-700 hover:bg-green-600 rounded text-white text-sm"
+                    >
+                      Reintegrar
+                    </button>
+                  )}
                   <button 
                     onClick={()=> removePlayer(p.id)} 
                     className="px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded text-white text-sm"
                   >
                     ✕
                   </button>
-                </div>
+                </fieldset>
               </div>
             );
           })}
         </div>
       </div>
+
+      {eliminatingId !== null && (
+        <EliminationDialog 
+          tournament={tournament} 
+          initialPlayerId={eliminatingId} 
+          onConfirm={eliminate} 
+          onClose={()=> setEliminatingId(null)} 
+        />
+      )}
     </div>
   );
 };
@@ -665,24 +1297,40 @@ const AdminPanel = ({ tournament, save }) => {
 // Blinds Structure Manager com tempo por nível
 const BlindsManager = ({ tournament, save }) => {
   const [newLevelDuration, setNewLevelDuration] = useState(tournament.levelDuration);
+  const [showGenerator, setShowGenerator] = useState(false);
+  const { templates, addTemplates, removeTemplate } = useTournaments();
+
+  const applyGenerated = (blinds, levelDuration) => {
+    setNewLevelDuration(levelDuration);
+    save({
+      blinds,
+      levelDuration,
+      currentLevelIndex: Math.min(tournament.currentLevelIndex, blinds.length - 1),
+    }, 'blinds.generate');
+  };
+
+  const issues = validateStructure(tournament.blinds, { chipAt: (index) => smallestChipAt(tournament, index) });
+  const issuesAt = (index) => issues.filter(i => i.index === index);
 
   const addBlindLevel = () => {
-    const lastLevel = tournament.blinds[tournament.blinds.length - 1];
+    const lastLevel = [...tournament.blinds].reverse().find(b => !b.isBreak);
     const newLevel = {
-      level: (lastLevel?.level || 0) + 1,
       smallBlind: (lastLevel?.smallBlind || 25) * 2,
       bigBlind: (lastLevel?.bigBlind || 50) * 2,
       ante: lastLevel?.ante || 0,
       isBreak: false,
       duration: newLevelDuration,
     };
-    save({ blinds: [...tournament.blinds, newLevel] });
+    save({ blinds: numberLevels([...tournament.blinds, newLevel]) });
+  };
+
+  const applyTemplate = (template) => {
+    setNewLevelDuration(template.levelDuration);
+    save(templatePatch(template, tournament), 'blinds.template', template.name);
   };
 
   const addBreak = () => {
-    const lastLevel = tournament.blinds[tournament.blinds.length - 1];
     const newBreak = {
-      level: (lastLevel?.level || 0) + 1,
       smallBlind: 0,
       bigBlind: 0,
       ante: 0,
@@ -690,7 +1338,7 @@ const BlindsManager = ({ tournament, save }) => {
       breakDuration: 10,
       duration: 10,
     };
-    save({ blinds: [...tournament.blinds, newBreak] });
+    save({ blinds: numberLevels([...tournament.blinds, newBreak]) });
   };
 
   const updateBlind = (index, patch) => {
@@ -699,27 +1347,21 @@ const BlindsManager = ({ tournament, save }) => {
   };
 
   const removeBlind = (index) => {
-    save({ blinds: tournament.blinds.filter((_, i) => i !== index) });
+    save({ blinds: numberLevels(tournament.blinds.filter((_, i) => i !== index)) });
   };
 
   const moveBlindUp = (index) => {
     if (index === 0) return;
     const newBlinds = [...tournament.blinds];
     [newBlinds[index], newBlinds[index - 1]] = [newBlinds[index - 1], newBlinds[index]];
-    newBlinds.forEach((blind, idx) => {
-      blind.level = idx + 1;
-    });
-    save({ blinds: newBlinds });
+    save({ blinds: numberLevels(newBlinds) });
   };
 
   const moveBlindDown = (index) => {
     if (index === tournament.blinds.length - 1) return;
     const newBlinds = [...tournament.blinds];
     [newBlinds[index], newBlinds[index + 1]] = [newBlinds[index + 1], newBlinds[index]];
-    newBlinds.forEach((blind, idx) => {
-      blind.level = idx + 1;
-    });
-    save({ blinds: newBlinds });
+    save({ blinds: numberLevels(newBlinds) });
   };
 
   const updateAllDurations = () => {
@@ -810,8 +1452,50 @@ const BlindsManager = ({ tournament, save }) => {
           </svg>
           Adicionar Intervalo
         </button>
+
+        <button 
+          onClick={() => setShowGenerator(true)} 
+          className="px-6 py-3 bg-purple-600 hover:bg-purple-700 rounded-lg text-white font-semibold flex items-center gap-2"
+        >
+          <Wand2 size={20} />
+          Gerar Estrutura
+        </button>
       </div>
 
+      {showGenerator && (
+        <BlindGenerator 
+          tournament={tournament} 
+          onApply={applyGenerated} 
+          onClose={() => setShowGenerator(false)} 
+        />
+      )}
+
+      <BlindTemplates 
+        tournament={tournament} 
+        templates={templates} 
+        onAdd={addTemplates} 
+        onRemove={removeTemplate} 
+        onApply={applyTemplate} 
+      />
+
+      {/* Validação */}
+      {issues.length > 0 && (
+        <div className={`p-3 rounded-lg text-sm flex items-center justify-between gap-4 ${issues.some(i => i.severity === 'error') ? 'bg-red-900 text-red-100' : 'bg-yellow-900 text-yellow-100'}`}>
+          <div>
+            {issues.filter(i => i.severity === 'error').length} erro(s) e {issues.filter(i => i.severity === 'warning').length} aviso(s) na estrutura.
+            Os detalhes aparecem em cada nível abaixo.
+          </div>
+          {numberLevels(tournament.blinds).some((b, i) => b.level !== tournament.blinds[i].level) && (
+            <button
+              onClick={() => save({ blinds: numberLevels(tournament.blinds) })}
+              className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white whitespace-nowrap"
+            >
+              Renumerar níveis
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Lista de níveis */}
       <div className="space-y-3 max-h-[500px] overflow-y-auto pr-2">
         {tournament.blinds.map((blind, index) => (
@@ -937,6 +1621,12 @@ const BlindsManager = ({ tournament, save }) => {
               </div>
             </div>
 
+            {issuesAt(index).map((issue, i) => (
+              <div key={i} className={`mt-2 text-sm ${issue.severity === 'error' ? 'text-red-400' : 'text-yellow-300'}`}>
+                {issue.severity === 'error' ? '✖' : '⚠️'} {issue.message}
+              </div>
+            ))}
+
             {/* Duração específica indicada */}
             {!blind.isBreak && blind.duration !== tournament.levelDuration && (
               <div className="mt-2 text-sm text-green-400">
@@ -970,31 +1660,44 @@ const BlindsManager = ({ tournament, save }) => {
         </div>
       </div>
 
+      <StructureAnalysis tournament={tournament} />
+
       {/* Dicas */}
       <div className="bg-black p-4 rounded-lg">
         <div className="text-gray-300 text-sm">
           <strong>Dica:</strong> Os intervalos não contam como níveis. Eles são pausas onde o tempo para 
-          mas as blinds não aumentam. Use setas ↑↓ para reordenar os níveis.
+          mas as blinds não aumentam, e levam o número do nível anterior. Use setas ↑↓ para reordenar os níveis;
+          a numeração é refeita automaticamente.
         </div>
       </div>
     </div>
   );
 };
 
-const RankingViewer = ({ tournament }) => {
+const RankingViewer = ({ tournament, save }) => {
+  const scoring = getScoring(tournament);
   const withScores = tournament.players.map(p => {
-    const position = p.position ?? (p.active ? tournament.players.length : tournament.players.length);
-    const score = calculateRanking(p.actions, position, tournament.stageWeight);
-    return { ...p, score, finalPosition: position };
+    const vars = scoringVars(tournament, p);
+    const score = calculatePoints(scoring, vars);
+    return { ...p, score, finalPosition: vars.position };
   }).sort((a,b) => b.score - a.score);
 
   return (
     <div className="bg-gray-800 p-4 rounded-lg">
       <div className="text-white font-semibold mb-3 text-xl">
-        Ranking - Fórmula: (((ações ÷ posição) × 100) ^ 0.5) × peso da etapa
+        Ranking - {scoring.system === 'custom' ? `Fórmula: ${scoring.expression}` : scoringLabels[scoring.system]}
       </div>
       <div className="text-sm text-gray-400 mb-4">
-        Peso da etapa atual: {tournament.stageWeight}
+        Peso da etapa atual: {tournament.stageWeight} • Jogadores ainda no torneio ficam com a pior posição entre os ativos
+      </div>
+      <div className="mb-4">
+        <ScoringEditor 
+          key={tournament.id}
+          scoring={tournament.scoring} 
+          sampleField={tournament.players.length || 10} 
+          weight={tournament.stageWeight} 
+          onApply={(next) => save({ scoring: next }, 'scoring.update')} 
+        />
       </div>
       <div className="space-y-2">
         {withScores.map((p, i) => (
@@ -1005,6 +1708,7 @@ const RankingViewer = ({ tournament }) => {
                 <div className="font-medium">{p.name}</div>
                 <div className="text-sm opacity-75">
                   Posição no torneio: {p.finalPosition}º • Ações: {p.actions}
+                  {isBountyEnabled(tournament) && ` • Bounties: R$ ${getBountyWinnings(tournament, p).toFixed(2)} (${countKnockouts(tournament.players, p.id)} KOs)`}
                 </div>
               </div>
             </div>
@@ -1021,21 +1725,46 @@ const RankingViewer = ({ tournament }) => {
 
 // Main App
 const PokerTournamentManagerApp = () => {
-  const { tournaments, activeTournamentId, setTournaments } = useTournaments();
+  const {
+    tournaments,
+    activeTournamentId,
+    updateTournament,
+    undoTournament,
+    redoTournament,
+    leagues,
+    createLeague,
+    updateLeague,
+    removeLeague,
+    profiles,
+    createProfile,
+    updateProfile,
+    removeProfile,
+    linkPlayers,
+    quarantine,
+    setQuarantine,
+    conflicts,
+    resolveConflict,
+  } = useTournaments();
   const [activeTab, setActiveTab] = useState('tv');
+  const { heldByOther, takeOver } = useEditLock(activeTournamentId);
+
+  // Mantém as janelas de TV sincronizadas com o painel
+  useTVPublisher(tournaments);
 
   const active = tournaments.find(t => t.id === activeTournamentId);
 
-  const save = (patch) => {
+  const save = (patch, type, note) => {
     if (!active) return;
-    const updated = { ...active, ...patch };
-    setTournaments(ts => ts.map(t => t.id === active.id ? updated : t));
+    // Estado, prêmios e histórico são tratados em updateTournament
+    updateTournament(active.id, patch, type, note);
   };
 
   if (!active) return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-900 to-gray-800 p-6">
       <div className="max-w-4xl w-full">
         <TopBar />
+        <QuarantineNotice quarantine={quarantine} onDiscard={() => setQuarantine([])} />
+        <ConflictNotice conflicts={conflicts} onResolve={resolveConflict} />
         <div className="mt-6 bg-gray-800 p-6 rounded text-white">
           <div className="text-center mb-4">Nenhum torneio selecionado. Crie um novo torneio para começar!</div>
         </div>
@@ -1044,7 +1773,7 @@ const PokerTournamentManagerApp = () => {
   );
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-green-900 to-gray-900 p-6">
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-green-900 to-gray-900 p-6 print:hidden">
       <div className="max-w-7xl mx-auto grid grid-cols-[280px_1fr] gap-6">
         <div>
           <TopBar title={active.name} />
@@ -1052,6 +1781,21 @@ const PokerTournamentManagerApp = () => {
         </div>
 
         <div>
+          <QuarantineNotice quarantine={quarantine} onDiscard={() => setQuarantine([])} />
+          <ConflictNotice conflicts={conflicts} onResolve={resolveConflict} />
+          {heldByOther && (
+            <div className="bg-blue-900 text-blue-100 p-3 rounded mb-4 flex items-center justify-between gap-4">
+              <div className="text-sm">
+                Este torneio está sendo editado em outra aba. Aqui ele fica somente leitura e é atualizado automaticamente.
+              </div>
+              <button
+                onClick={() => window.confirm('Assumir a edição? A outra aba passará a ser somente leitura.') && takeOver()}
+                className="px-3 py-1 bg-blue-700 hover:bg-blue-600 rounded text-white text-sm whitespace-nowrap"
+              >
+                Assumir edição
+              </button>
+            </div>
+          )}
           <div className="flex gap-2 mb-4">
             <button 
               onClick={()=> setActiveTab('tv')} 
@@ -1071,18 +1815,113 @@ const PokerTournamentManagerApp = () => {
             >
               <FileText size={16}/> Blinds
             </button>
+            <button 
+              onClick={()=> setActiveTab('chips')} 
+              className={`px-4 py-2 rounded flex items-center gap-2 ${activeTab==='chips'? 'bg-green-600 text-white' : 'bg-gray-700 text-white'}`}
+            >
+              <Coins size={16}/> Fichas
+            </button>
+            <button 
+              onClick={()=> setActiveTab('tables')} 
+              className={`px-4 py-2 rounded flex items-center gap-2 ${activeTab==='tables'? 'bg-green-600 text-white' : 'bg-gray-700 text-white'}`}
+            >
+              <LayoutGrid size={16}/> Mesas
+            </button>
             <button 
               onClick={()=> setActiveTab('ranking')} 
               className={`px-4 py-2 rounded flex items-center gap-2 ${activeTab==='ranking'? 'bg-green-600 text-white' : 'bg-gray-700 text-white'}`}
             >
               <Trophy size={16}/> Ranking
             </button>
+            <button 
+              onClick={()=> setActiveTab('league')} 
+              className={`px-4 py-2 rounded flex items-center gap-2 ${activeTab==='league'? 'bg-green-600 text-white' : 'bg-gray-700 text-white'}`}
+            >
+              <Award size={16}/> Liga
+            </button>
+            <button 
+              onClick={()=> setActiveTab('players')} 
+              className={`px-4 py-2 rounded flex items-center gap-2 ${activeTab==='players'? 'bg-green-600 text-white' : 'bg-gray-700 text-white'}`}
+            >
+              <Users size={16}/> Jogadores
+            </button>
+            <button 
+              onClick={()=> setActiveTab('payouts')} 
+              className={`px-4 py-2 rounded flex items-center gap-2 ${activeTab==='payouts'? 'bg-green-600 text-white' : 'bg-gray-700 text-white'}`}
+            >
+              <DollarSign size={16}/> Premiação
+            </button>
+            <button 
+              onClick={()=> setActiveTab('stats')} 
+              className={`px-4 py-2 rounded flex items-center gap-2 ${activeTab==='stats'? 'bg-green-600 text-white' : 'bg-gray-700 text-white'}`}
+            >
+              <BarChart3 size={16}/> Estatísticas
+            </button>
+            <button 
+              onClick={()=> setActiveTab('history')} 
+              className={`px-4 py-2 rounded flex items-center gap-2 ${activeTab==='history'? 'bg-green-600 text-white' : 'bg-gray-700 text-white'}`}
+            >
+              <History size={16}/> Histórico
+            </button>
+            <div className="ml-auto flex gap-2">
+              <button 
+                onClick={()=> undoTournament(active.id)} 
+                disabled={!canUndo(active)}
+                title="Desfazer"
+                className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-40"
+              >
+                <Undo2 size={16}/>
+              </button>
+              <button 
+                onClick={()=> redoTournament(active.id)} 
+                disabled={!canRedo(active)}
+                title="Refazer"
+                className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-40"
+              >
+                <Redo2 size={16}/>
+              </button>
+            </div>
           </div>
 
           {activeTab === 'tv' && <TVScreen tournament={active} update={save} />}
           {activeTab === 'admin' && <AdminPanel tournament={active} save={save} />}
           {activeTab === 'blinds' && <BlindsManager tournament={active} save={save} />}
-          {activeTab === 'ranking' && <RankingViewer tournament={active} />}
+          {activeTab === 'chips' && <ChipsManager tournament={active} save={save} />}
+          {activeTab === 'tables' && <TablesManager tournament={active} save={save} />}
+          {activeTab === 'ranking' && (
+            <div className="space-y-6">
+              <RankingViewer tournament={active} save={save} />
+              <DealCalculator tournament={active} save={save} />
+            </div>
+          )}
+          {activeTab === 'league' && (
+            <LeagueManager 
+              leagues={leagues} 
+              tournaments={tournaments} 
+              profiles={profiles} 
+              createLeague={createLeague} 
+              updateLeague={updateLeague} 
+              removeLeague={removeLeague} 
+            />
+          )}
+          {activeTab === 'players' && (
+            <PlayerRegistry 
+              profiles={profiles} 
+              tournaments={tournaments} 
+              createProfile={createProfile} 
+              updateProfile={updateProfile} 
+              removeProfile={removeProfile} 
+              linkPlayers={linkPlayers} 
+            />
+          )}
+          {activeTab === 'payouts' && (
+            <div className="space-y-6">
+              <CashDeskSummary tournament={active} />
+              <PayoutsManager tournament={active} save={save} />
+            </div>
+          )}
+          {activeTab === 'stats' && <StatsPanel tournament={active} />}
+          {activeTab === 'history' && <HistoryLog tournament={active} />}
         </div>
       </div>
     </div>
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import {
+  COLLECTIONS,
+  collectionLabels,
+  CONFLICT_RESOLUTIONS,
+  resolutionLabels,
+  createBackup,
+  downloadBackup,
+  parseBackup,
+  findConflicts,
+  applyImport,
+} from './backup';
+import { exportImages, importImages, findMissingImages } from './tvImages';
+
+// Backup completo: exportar tudo e importar um arquivo JSON (mesclar ou substituir)
+const BackupDialog = ({ current, onApply, onClose }) => {
+  const [doc, setDoc] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [mode, setMode] = useState('merge');
+  const [resolutions, setResolutions] = useState({});
+
+  const conflicts = doc ? findConflicts(current, doc.data) : [];
+
+  const exportAll = async () => {
+    const images = await exportImages(current.tournaments);
+    downloadBackup(createBackup(current, 'store', images), `backup_torneios_${new Date().toISOString().slice(0, 10)}`);
+  };
+
+  const readFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = parseBackup(String(reader.result));
+      setDoc(result.doc);
+      setErrors(result.errors);
+      setResolutions({});
+    };
+    reader.readAsText(file);
+  };
+
+  const confirm = async () => {
+    if (!doc) return;
+    if (mode === 'replace' && !window.confirm('Substituir TODOS os dados atuais pelo conteúdo do backup? Esta ação não pode ser desfeita.')) return;
+    try {
+      await importImages(doc.images);
+    } catch (e) {
+      console.error('Erro ao restaurar imagens:', e);
+    }
+    const result = applyImport(current, doc.data, mode, resolutions);
+    onApply(result);
+    onClose();
+    const missing = await findMissingImages(result.tournaments);
+    if (missing.length) {
+      alert(`Logos da TV não encontrados neste navegador (envie as imagens de novo no layout da TV):\n${missing.join('\n')}`);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center p-6">
+      <div className="bg-gray-800 rounded-lg p-6 w-full max-w-2xl space-y-4 text-white max-h-full overflow-auto">
+        <h3 className="text-xl font-bold">Backup</h3>
+
+        <div className="bg-gray-900 p-3 rounded flex items-center justify-between">
+          <div className="text-sm text-gray-300">
+            {COLLECTIONS.map(kind => `${current[kind].length} ${collectionLabels[kind].toLowerCase()}(s)`).join(' • ')}
+          </div>
+          <button onClick={exportAll} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded">
+            Exportar tudo
+          </button>
+        </div>
+
+        <div className="bg-gray-900 p-3 rounded space-y-3">
+          <div className="font-semibold">Importar</div>
+          <input type="file" accept=".json,application/json" onChange={readFile} className="text-sm" />
+
+          {errors.length > 0 && (
+            <div className="bg-red-900 p-3 rounded text-sm space-y-1 max-h-40 overflow-auto">
+              <div className="font-semibold">Arquivo recusado:</div>
+              {errors.map((err, i) => <div key={i}>• {err}</div>)}
+            </div>
+          )}
+
+          {doc && (
+            <>
+              <div className="text-sm text-gray-300">
+                {doc.scope === 'tournament' ? 'Backup de torneio' : 'Backup completo'}
+                {doc.exportedAt && ` de ${new Date(doc.exportedAt).toLocaleString()}`}
+                {' • '}
+                {COLLECTIONS.map(kind => `${doc.data[kind].length} ${collectionLabels[kind].toLowerCase()}(s)`).join(' • ')}
+              </div>
+              <div className="flex gap-4 text-sm">
+                <label className="flex items-center gap-2">
+                  <input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                  Mesclar com os dados atuais
+                </label>
+                <label className="flex items-center gap-2">
+                  <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                  Substituir tudo
+                </label>
+              </div>
+
+              {mode === 'merge' && conflicts.length > 0 && (
+                <div className="space-y-2">
+                  <div className="text-sm text-yellow-300">
+                    {conflicts.length} item(ns) com o mesmo id e conteúdo diferente:
+                  </div>
+                  {conflicts.map(c => (
+                    <div key={c.key} className="flex items-center gap-2 text-sm bg-black p-2 rounded">
+                      <div className="flex-1 min-w-0">
+                        <div className="truncate">{collectionLabels[c.kind]}: {c.incomingName}</div>
+                        {c.currentName !== c.incomingName && (
+                          <div className="text-xs text-gray-400 truncate">Atual: {c.currentName}</div>
+                        )}
+                      </div>
+                      <select
+                        className="p-1 rounded bg-gray-800"
+                        value={resolutions[c.key] || 'keep'}
+                        onChange={(e) => setResolutions((r) => ({ ...r, [c.key]: e.target.value }))}
+                      >
+                        {CONFLICT_RESOLUTIONS.map(r => (
+                          <option key={r} value={r}>{resolutionLabels[r]}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded">
+            Fechar
+          </button>
+          <button
+            onClick={confirm}
+            disabled={!doc}
+            className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded font-semibold disabled:opacity-50"
+          >
+            Importar
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackupDialog;
@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import {
+  ANTE_MODES,
+  GENERATOR_LIMITS,
+  anteModeLabels,
+  defaultGeneratorOptions,
+  generateBlinds,
+  countLevels,
+  clampGeneratorOptions,
+  structureMinutes,
+} from './blinds';
+
+const formatMinutes = (minutes) => `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`;
+
+const fields = [
+  { key: 'startingStack', label: 'Stack inicial' },
+  { key: 'targetMinutes', label: 'Duração prevista (min)' },
+  { key: 'levelDuration', label: 'Duração do nível (min)' },
+  { key: 'players', label: 'Jogadores esperados' },
+  { key: 'smallestChip', label: 'Menor ficha' },
+  { key: 'breakEvery', label: 'Intervalo a cada (níveis, 0 = sem)' },
+  { key: 'breakDuration', label: 'Duração do intervalo (min)' },
+  { key: 'anteFromLevel', label: 'Ante a partir do nível' },
+  { key: 'extraLevels', label: 'Níveis extras após o previsto' },
+].map(f => ({ ...f, ...GENERATOR_LIMITS[f.key] }));
+
+// Gera uma estrutura completa e mostra a prévia antes de substituir os blinds do torneio
+const BlindGenerator = ({ tournament, onApply, onClose }) => {
+  const [options, setOptions] = useState(() => defaultGeneratorOptions(tournament));
+
+  const set = (key, value) => setOptions((o) => ({ ...o, [key]: value }));
+
+  const blinds = generateBlinds(options);
+  const plannedLevels = countLevels(options);
+  let elapsed = 0;
+  const rows = blinds.map(b => {
+    const row = { ...b, startsAt: elapsed };
+    elapsed += b.duration;
+    return row;
+  });
+
+  const apply = () => {
+    if (!window.confirm('Substituir a estrutura de blinds atual pela gerada?')) return;
+    // Mesma duração (já limitada) usada para gerar os níveis
+    onApply(blinds, clampGeneratorOptions(options).levelDuration);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center p-6">
+      <div className="bg-gray-800 rounded-lg p-6 w-full max-w-4xl space-y-4 text-white max-h-full overflow-auto">
+        <h3 className="text-xl font-bold">Gerar Estrutura de Blinds</h3>
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+          {fields.map(f => (
+            <div key={f.key}>
+              <label className="block text-xs text-gray-400 mb-1">{f.label}</label>
+              <input
+                type="number"
+                min={f.min}
+                max={f.max}
+                className="w-full p-2 rounded bg-black text-white"
+                value={options[f.key]}
+                onChange={(e) => set(f.key, Math.max(f.min, Math.min(f.max, Number(e.target.value) || f.min)))}
+              />
+            </div>
+          ))}
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Ante</label>
+            <select
+              className="w-full p-2 rounded bg-black text-white"
+              value={options.anteMode}
+              onChange={(e) => set('anteMode', e.target.value)}
+            >
+              {ANTE_MODES.map(m => <option key={m} value={m}>{anteModeLabels[m]}</option>)}
+            </select>
+          </div>
+        </div>
+
+        <div className="bg-gray-900 p-3 rounded text-sm text-gray-300">
+          {plannedLevels} níveis no tempo previsto
+          {options.extraLevels > 0 && ` + ${options.extraLevels} extra(s)`}
+          {' • '}Duração total: {formatMinutes(structureMinutes(blinds, options.levelDuration))}
+          {' • '}Stack inicial: {Math.floor(options.startingStack / blinds[0].bigBlind)} BB
+        </div>
+
+        <div className="max-h-80 overflow-auto">
+          <table className="w-full text-sm">
+            <thead className="text-gray-400 text-left">
+              <tr>
+                <th className="p-1">Nível</th>
+                <th className="p-1">Blinds</th>
+                <th className="p-1">Ante</th>
+                <th className="p-1">Duração</th>
+                <th className="p-1">Início</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((b, i) => (
+                <tr
+                  key={i}
+                  className={`border-t border-gray-700 ${b.isBreak ? 'text-orange-300' : ''} ${!b.isBreak && b.level > plannedLevels ? 'text-gray-400' : ''}`}
+                >
+                  <td className="p-1">{b.isBreak ? 'Intervalo' : b.level}</td>
+                  <td className="p-1">{b.isBreak ? '—' : `${b.smallBlind}/${b.bigBlind}`}</td>
+                  <td className="p-1">{b.isBreak ? '—' : b.ante || '—'}</td>
+                  <td className="p-1">{b.duration} min</td>
+                  <td className="p-1">{formatMinutes(b.startsAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded">
+            Cancelar
+          </button>
+          <button onClick={apply} className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded font-semibold">
+            Aplicar estrutura
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BlindGenerator;
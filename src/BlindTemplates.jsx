@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { BUILTIN_TEMPLATES, createTemplate, downloadTemplates, parseTemplatesFile } from './templates';
+
+const summary = (template) => {
+  const levels = template.blinds.filter(b => !b.isBreak);
+  const first = levels[0];
+  const last = levels[levels.length - 1];
+  return `${levels.length} níveis • ${first ? `${first.smallBlind}/${first.bigBlind}` : '—'} até ${last ? `${last.smallBlind}/${last.bigBlind}` : '—'}`;
+};
+
+// Biblioteca de estruturas: aplicar ao torneio, salvar a atual, exportar e importar
+const BlindTemplates = ({ tournament, templates, onAdd, onRemove, onApply }) => {
+  const [name, setName] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState('');
+
+  const saveCurrent = () => {
+    if (!name.trim()) return;
+    onAdd([createTemplate({ name, blinds: tournament.blinds, levelDuration: tournament.levelDuration })]);
+    setName('');
+    setMessage('Estrutura salva na biblioteca.');
+  };
+
+  const apply = (template) => {
+    if (!window.confirm(`Substituir a estrutura de blinds atual por "${template.name}"?`)) return;
+    onApply(template);
+  };
+
+  const readFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = parseTemplatesFile(String(reader.result), file.name);
+      setErrors(result.errors);
+      if (result.templates.length) {
+        onAdd(result.templates);
+        setMessage(`${result.templates.length} estrutura(s) importada(s).`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const row = (template) => (
+    <div key={template.id} className="flex items-center gap-2 bg-black p-2 rounded text-sm">
+      <div className="flex-1 min-w-0">
+        <div className="font-semibold truncate">{template.name}</div>
+        <div className="text-xs text-gray-400 truncate">
+          {template.description ? `${template.description} • ` : ''}{summary(template)}
+        </div>
+      </div>
+      <button onClick={() => apply(template)} className="px-3 py-1 bg-green-600 hover:bg-green-700 rounded">
+        Aplicar
+      </button>
+      <button onClick={() => downloadTemplates([template], 'json')} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded">
+        JSON
+      </button>
+      <button onClick={() => downloadTemplates([template], 'csv')} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded">
+        CSV
+      </button>
+      {!template.builtIn && (
+        <button
+          onClick={() => window.confirm(`Excluir a estrutura "${template.name}"?`) && onRemove(template.id)}
+          className="px-2 py-1 bg-red-600 hover:bg-red-700 rounded"
+        >
+          Excluir
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="bg-gray-900 p-4 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-gray-300 font-semibold">Biblioteca de Estruturas</div>
+        <div className="flex gap-2 text-sm">
+          {templates.length > 0 && (
+            <button onClick={() => downloadTemplates(templates, 'json')} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded">
+              Exportar salvas
+            </button>
+          )}
+          <label className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded cursor-pointer">
+            Importar JSON/CSV
+            <input type="file" accept=".json,.csv,application/json,text/csv" onChange={readFile} className="hidden" />
+          </label>
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          className="flex-1 p-2 rounded bg-black text-white"
+          placeholder="Nome para salvar a estrutura atual"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && saveCurrent()}
+        />
+        <button
+          onClick={saveCurrent}
+          disabled={!name.trim()}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded disabled:opacity-50"
+        >
+          Salvar como modelo
+        </button>
+      </div>
+
+      {message && <div className="text-sm text-green-400">{message}</div>}
+      {errors.length > 0 && (
+        <div className="bg-red-900 p-3 rounded text-sm space-y-1 max-h-40 overflow-auto">
+          <div className="font-semibold">Arquivo recusado:</div>
+          {errors.map((err, i) => <div key={i}>• {err}</div>)}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <div className="text-xs text-gray-400 uppercase">Prontas</div>
+        {BUILTIN_TEMPLATES.map(row)}
+        <div className="text-xs text-gray-400 uppercase pt-2">Do clube</div>
+        {templates.map(row)}
+        {templates.length === 0 && (
+          <div className="text-sm text-gray-500">Nenhuma estrutura salva ainda.</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BlindTemplates;
@@ -0,0 +1,98 @@
+import React from 'react';
+import { TRANSACTION_TYPES, transactionLabels, getFeeRules, calculateFinance } from './finance';
+
+const money = (v) => `R$ ${v.toFixed(2)}`;
+
+// Resumo do caixa: dinheiro arrecadado x pago
+const CashDeskSummary = ({ tournament }) => {
+  const finance = calculateFinance(tournament);
+  const feeRules = getFeeRules(tournament);
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg space-y-4">
+      <h3 className="text-2xl font-bold text-white">Caixa</h3>
+
+      <div className="bg-gray-900 p-4 rounded-lg">
+        <div className="grid grid-cols-5 gap-2 text-sm text-gray-400 mb-2">
+          <div>Transação</div>
+          <div className="text-right">Qtd.</div>
+          <div className="text-right">Arrecadado</div>
+          <div className="text-right">Taxa</div>
+          <div className="text-right">Prize Pool</div>
+        </div>
+        {TRANSACTION_TYPES.map(type => (
+          <div key={type} className="grid grid-cols-5 gap-2 text-white py-1">
+            <div>{transactionLabels[type]}</div>
+            <div className="text-right">{finance.counts[type]}</div>
+            <div className="text-right">{money(finance.collected[type])}</div>
+            <div className="text-right text-orange-300">{money(finance.fees[type])} ({feeRules[type]}%)</div>
+            <div className="text-right">{money(finance.collected[type] - finance.fees[type])}</div>
+          </div>
+        ))}
+        <div className="grid grid-cols-5 gap-2 text-white font-bold border-t border-gray-700 mt-2 pt-2">
+          <div>Total</div>
+          <div />
+          <div className="text-right">{money(finance.collected.total)}</div>
+          <div className="text-right text-orange-300">{money(finance.fees.total)}</div>
+          <div className="text-right">{money(finance.collected.total - finance.fees.total)}</div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-4 gap-4">
+        <div className="bg-gray-900 p-3 rounded text-center">
+          <div className="text-sm text-gray-400">Dealer/Staff</div>
+          <div className="text-xl font-bold text-white">{money(finance.staffFee)}</div>
+        </div>
+        <div className="bg-gray-900 p-3 rounded text-center">
+          <div className="text-sm text-gray-400">Prize Pool</div>
+          <div className="text-xl font-bold text-green-400">{money(finance.prizePool)}</div>
+          {finance.guarantee > 0 && (
+            <div className="text-xs text-gray-400">Garantido: {money(finance.guarantee)}</div>
+          )}
+        </div>
+        <div className="bg-gray-900 p-3 rounded text-center">
+          <div className="text-sm text-gray-400">Overlay</div>
+          <div className={`text-xl font-bold ${finance.overlay > 0 ? 'text-red-400' : 'text-white'}`}>{money(finance.overlay)}</div>
+        </div>
+        <div className="bg-gray-900 p-3 rounded text-center">
+          <div className="text-sm text-gray-400">Resultado da Casa</div>
+          <div className={`text-xl font-bold ${finance.houseResult < 0 ? 'text-red-400' : 'text-white'}`}>{money(finance.houseResult)}</div>
+        </div>
+      </div>
+
+      {finance.bountyPool > 0 && (
+        <div className="grid grid-cols-3 gap-4">
+          <div className="bg-gray-900 p-3 rounded text-center">
+            <div className="text-sm text-gray-400">Bounties arrecadados</div>
+            <div className="text-xl font-bold text-red-300">{money(finance.bountyPool)}</div>
+          </div>
+          <div className="bg-gray-900 p-3 rounded text-center">
+            <div className="text-sm text-gray-400">Bounties pagos</div>
+            <div className="text-xl font-bold text-white">{money(finance.bountyPaid)}</div>
+          </div>
+          <div className="bg-gray-900 p-3 rounded text-center">
+            <div className="text-sm text-gray-400">Em cabeças</div>
+            <div className="text-xl font-bold text-white">{money(finance.bountyPool - finance.bountyPaid)}</div>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-3 gap-4">
+        <div className="bg-black p-3 rounded text-center">
+          <div className="text-sm text-gray-400">Arrecadado</div>
+          <div className="text-xl font-bold text-white">{money(finance.collected.total)}</div>
+        </div>
+        <div className="bg-black p-3 rounded text-center">
+          <div className="text-sm text-gray-400">Pago em prêmios</div>
+          <div className="text-xl font-bold text-white">{money(finance.paidOut)}</div>
+        </div>
+        <div className="bg-black p-3 rounded text-center">
+          <div className="text-sm text-gray-400">Saldo em caixa</div>
+          <div className={`text-xl font-bold ${finance.cashBalance < 0 ? 'text-red-400' : 'text-white'}`}>{money(finance.cashBalance)}</div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CashDeskSummary;
@@ -0,0 +1,188 @@
+import React from 'react';
+import {
+  STACK_TYPES,
+  stackLabels,
+  getChipSet,
+  getDenominations,
+  stackAmount,
+  stackBreakdown,
+  inventoryUsage,
+  stackCapacity,
+  planColorUps,
+} from './chips';
+
+const ChipBadge = ({ chip, quantity }) => (
+  <span className="inline-flex items-center gap-1 bg-black px-2 py-1 rounded text-sm">
+    <span className="w-4 h-4 rounded-full border-2 border-gray-500" style={{ backgroundColor: chip.color }} />
+    {quantity != null && <span className="text-gray-400">{quantity} ×</span>}
+    <span className="font-semibold">{chip.value.toLocaleString()}</span>
+  </span>
+);
+
+// Estojo de fichas, composição dos stacks, consumo e plano de trocas
+const ChipsManager = ({ tournament, save }) => {
+  const chipSet = getChipSet(tournament);
+  const denominations = getDenominations(tournament);
+  const usage = inventoryUsage(tournament);
+  const shortages = usage.filter(u => u.shortage > 0);
+  const capacity = stackCapacity(tournament);
+  const colorUps = planColorUps(tournament);
+
+  const saveDenominations = (list) => save({ chipSet: { ...chipSet, denominations: list } }, 'chips.update');
+
+  const updateDenomination = (index, patch) => {
+    saveDenominations(chipSet.denominations.map((d, i) => (i === index ? { ...d, ...patch } : d)));
+  };
+
+  const addDenomination = () => {
+    const largest = denominations[denominations.length - 1]?.value || 5;
+    saveDenominations([...chipSet.denominations, { value: largest * 5, color: '#2563eb', label: '', count: 0 }]);
+  };
+
+  const removeDenomination = (index) => {
+    saveDenominations(chipSet.denominations.filter((_, i) => i !== index));
+  };
+
+  const shownStacks = STACK_TYPES.filter(type => {
+    if (type === 'extraChip') return tournament.extraChipEnabled;
+    if (type === 'timeChip') return tournament.timeChipEnabled;
+    return stackAmount(tournament, type) > 0;
+  });
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg space-y-6 text-white">
+      <h3 className="text-2xl font-bold">Fichas</h3>
+
+      {/* Estojo */}
+      <div className="bg-gray-900 p-4 rounded-lg space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="text-gray-300 font-semibold">Estojo de Fichas</div>
+          <button onClick={addDenomination} className="px-3 py-1 bg-green-600 hover:bg-green-700 rounded text-sm">
+            Adicionar valor
+          </button>
+        </div>
+        {chipSet.denominations.map((d, index) => (
+          <div key={index} className="grid grid-cols-[60px_1fr_1fr_1fr_auto] gap-3 items-end">
+            <input
+              type="color"
+              className="w-full h-10 rounded bg-black"
+              value={d.color}
+              onChange={(e) => updateDenomination(index, { color: e.target.value })}
+            />
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Valor</label>
+              <input
+                type="number"
+                min="1"
+                className="w-full p-2 rounded bg-black text-white"
+                value={d.value}
+                onChange={(e) => updateDenomination(index, { value: Math.max(1, Number(e.target.value) || 1) })}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Cor</label>
+              <input
+                className="w-full p-2 rounded bg-black text-white"
+                value={d.label}
+                onChange={(e) => updateDenomination(index, { label: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Quantidade</label>
+              <input
+                type="number"
+                min="0"
+                className="w-full p-2 rounded bg-black text-white"
+                value={d.count}
+                onChange={(e) => updateDenomination(index, { count: Math.max(0, Number(e.target.value) || 0) })}
+              />
+            </div>
+            <button onClick={() => removeDenomination(index)} className="px-3 py-2 bg-red-600 hover:bg-red-700 rounded">
+              Remover
+            </button>
+          </div>
+        ))}
+        <div className="text-sm text-gray-400">
+          Total no estojo: {denominations.reduce((s, d) => s + d.value * d.count, 0).toLocaleString()} em fichas
+        </div>
+      </div>
+
+      {/* Composição dos stacks */}
+      <div className="bg-gray-900 p-4 rounded-lg space-y-3">
+        <div className="text-gray-300 font-semibold">Composição por Jogador</div>
+        {shownStacks.map(type => {
+          const amount = stackAmount(tournament, type);
+          const { chips, remainder } = stackBreakdown(amount, denominations);
+          return (
+            <div key={type} className="flex items-center gap-3 flex-wrap">
+              <div className="w-40 text-sm">
+                {stackLabels[type]} <span className="text-gray-400">({amount.toLocaleString()})</span>
+              </div>
+              {chips.map(c => <ChipBadge key={c.value} chip={c} quantity={c.quantity} />)}
+              {remainder > 0 && (
+                <span className="text-sm text-red-400">Sobram {remainder} que nenhuma ficha do estojo paga</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Consumo */}
+      <div className="bg-gray-900 p-4 rounded-lg space-y-3">
+        <div className="text-gray-300 font-semibold">Consumo do Estojo</div>
+        {shortages.length > 0 && (
+          <div className="bg-red-900 p-3 rounded text-sm">
+            Os jogadores inscritos, rebuys e addons já usam mais fichas do que o estojo tem:
+            {' '}{shortages.map(s => `faltam ${s.shortage} de ${s.value}`).join(', ')}.
+          </div>
+        )}
+        <div className="text-sm text-gray-300">
+          O estojo comporta {capacity} buy-in(s) completos • {tournament.players.length} jogador(es) inscrito(s)
+          {tournament.players.length > capacity && (
+            <span className="text-red-400"> — acima da capacidade</span>
+          )}
+        </div>
+        <table className="w-full text-sm">
+          <thead className="text-gray-400 text-left">
+            <tr>
+              <th className="p-1">Ficha</th>
+              <th className="p-1">No estojo</th>
+              <th className="p-1">Entregues</th>
+              <th className="p-1">Disponíveis</th>
+            </tr>
+          </thead>
+          <tbody>
+            {usage.map(u => (
+              <tr key={u.value} className={`border-t border-gray-700 ${u.shortage > 0 ? 'text-red-400' : ''}`}>
+                <td className="p-1"><ChipBadge chip={u} /></td>
+                <td className="p-1">{u.count}</td>
+                <td className="p-1">{u.needed}</td>
+                <td className="p-1">{u.count - u.needed}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Trocas */}
+      <div className="bg-gray-900 p-4 rounded-lg space-y-2">
+        <div className="text-gray-300 font-semibold">Trocas de Fichas (Color-up)</div>
+        {colorUps.map(c => (
+          <div key={c.value} className={`flex items-center gap-3 text-sm p-2 rounded ${c.breakIndex === tournament.currentLevelIndex ? 'bg-orange-900' : 'bg-black'}`}>
+            <span className="text-orange-300">Intervalo do nível {c.level}</span>
+            <span>retirar</span>
+            <ChipBadge chip={c} />
+            <span>e trocar por fichas de {c.nextValue.toLocaleString()}</span>
+          </div>
+        ))}
+        {colorUps.length === 0 && (
+          <div className="text-sm text-gray-500">
+            Nenhuma troca possível: não há intervalo depois do qual todos os blinds dispensem a menor ficha.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChipsManager;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { colorUpsAt } from './chips';
+
+// Aviso de troca de fichas durante o intervalo em que ela está planejada
+const ColorUpNotice = ({ tournament, large = false }) => {
+  const colorUps = colorUpsAt(tournament);
+  if (!tournament.blinds[tournament.currentLevelIndex]?.isBreak || !colorUps.length) return null;
+
+  return (
+    <div className={`bg-orange-900 text-white rounded-lg mx-auto max-w-3xl ${large ? 'p-6 mt-6' : 'p-3 my-3'}`}>
+      <div className={`font-bold text-orange-200 ${large ? 'text-3xl mb-4' : 'text-lg mb-2'}`}>Troca de Fichas</div>
+      {colorUps.map(c => (
+        <div key={c.value} className={`flex items-center justify-center gap-3 ${large ? 'text-2xl' : 'text-base'}`}>
+          <span
+            className={`rounded-full border-4 border-gray-400 ${large ? 'w-10 h-10' : 'w-5 h-5'}`}
+            style={{ backgroundColor: c.color }}
+          />
+          <span>
+            Saem as fichas de {c.value.toLocaleString()}{c.label ? ` (${c.label})` : ''} • trocar por fichas de {c.nextValue.toLocaleString()}
+          </span>
+        </div>
+      ))}
+      <div className={`text-orange-300 mt-2 ${large ? 'text-lg' : 'text-xs'}`}>
+        Sobras que não completam uma ficha maior vão para o sorteio (race-off)
+      </div>
+    </div>
+  );
+};
+
+export default ColorUpNotice;
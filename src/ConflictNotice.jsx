@@ -0,0 +1,43 @@
+import React from 'react';
+import { collectionLabels } from './backup';
+
+// Registros alterados aqui e, ao mesmo tempo, salvos por outra aba com dados diferentes
+const ConflictNotice = ({ conflicts, onResolve }) => {
+  if (!conflicts.length) return null;
+
+  return (
+    <div className="bg-orange-900 text-orange-100 p-3 rounded mb-4 space-y-2">
+      <div className="text-sm font-semibold">
+        Outra aba salvou uma versão mais nova. Suas alterações nestes itens ainda não foram gravadas:
+      </div>
+      {conflicts.map(c => (
+        <div key={c.key} className="flex items-center justify-between gap-4 bg-black/30 p-2 rounded">
+          <div className="text-sm min-w-0">
+            <div className="truncate">{collectionLabels[c.kind]}: {c.theirs.data?.name}</div>
+            {c.theirs.savedAt && (
+              <div className="text-xs text-orange-300">
+                Salvo na outra aba às {new Date(c.theirs.savedAt).toLocaleTimeString()}
+              </div>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => onResolve(c, 'theirs')}
+              className="px-3 py-1 bg-orange-700 hover:bg-orange-600 rounded text-white text-sm whitespace-nowrap"
+            >
+              Carregar versão da outra aba
+            </button>
+            <button
+              onClick={() => window.confirm('Sobrescrever a versão da outra aba com a desta?') && onResolve(c, 'mine')}
+              className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-sm whitespace-nowrap"
+            >
+              Manter a minha (sobrescrever)
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ConflictNotice;
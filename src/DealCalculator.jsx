@@ -0,0 +1,138 @@
+import React, { useMemo, useState } from 'react';
+import { getTournamentPayouts } from './payouts';
+import { MAX_ICM_PLAYERS, calculateICM, calculateChipChop, calculateSaveForFirst } from './icm';
+
+const methodLabels = {
+  icm: 'ICM',
+  chipchop: 'Chip Chop',
+  save: 'Reserva p/ 1º + ICM',
+};
+
+// Calculadora de acordo para a mesa final
+const DealCalculator = ({ tournament, save }) => {
+  const [savedForFirst, setSavedForFirst] = useState(0);
+
+  const remaining = tournament.players.filter(p => p.active);
+  const stacks = remaining.map(p => p.chips);
+  const prizes = getTournamentPayouts(tournament).slice(0, remaining.length);
+  const prizesTotal = prizes.reduce((s, v) => s + v, 0);
+  const canCalculate = remaining.length >= 2 && remaining.length <= MAX_ICM_PLAYERS && prizes.length > 0;
+
+  // O ICM é exponencial no número de jogadores: só recalcula quando fichas ou prêmios mudam
+  const key = `${stacks.join(',')}|${prizes.join(',')}|${savedForFirst}`;
+  const results = useMemo(() => (canCalculate ? {
+    icm: calculateICM(stacks, prizes),
+    chipchop: calculateChipChop(stacks, prizes),
+    save: calculateSaveForFirst(stacks, prizes, savedForFirst),
+  } : null), [key, canCalculate]);
+
+  const applyDeal = (method) => {
+    const amounts = {};
+    remaining.forEach((p, i) => { amounts[p.id] = results[method][i]; });
+    const reserve = method === 'save' ? Math.max(0, Math.min(savedForFirst, prizes[0] || 0)) : 0;
+    const summary = remaining.map(p => `${p.name}: R$ ${amounts[p.id].toFixed(2)}`).join('\n');
+    if (!window.confirm(`Aplicar acordo (${methodLabels[method]})?\n\n${summary}`)) return;
+    save({
+      deal: {
+        method,
+        savedForFirst: reserve,
+        createdAt: Date.now(),
+        amounts,
+      },
+    }, 'deal.apply');
+  };
+
+  if (tournament.deal) {
+    const dealPlayers = tournament.players.filter(p => tournament.deal.amounts[p.id] != null);
+    return (
+      <div className="bg-gray-800 p-4 rounded-lg">
+        <div className="flex items-center justify-between mb-3">
+          <div className="text-white font-semibold text-xl">
+            Acordo fechado • {methodLabels[tournament.deal.method]}
+          </div>
+          <button
+            onClick={() => window.confirm('Desfazer o acordo e voltar à premiação normal?') && save({ deal: null }, 'deal.undo')}
+            className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded text-white"
+          >
+            Desfazer Acordo
+          </button>
+        </div>
+        <div className="text-sm text-gray-400 mb-3">
+          {new Date(tournament.deal.createdAt).toLocaleString()}
+          {tournament.deal.savedForFirst > 0 && ` • R$ ${tournament.deal.savedForFirst.toFixed(2)} reservados para o 1º lugar`}
+        </div>
+        <div className="space-y-2">
+          {dealPlayers.map(p => (
+            <div key={p.id} className="p-3 rounded bg-gray-900 text-white flex justify-between">
+              <span>{p.name}</span>
+              <span className="font-bold">R$ {tournament.deal.amounts[p.id].toFixed(2)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg">
+      <div className="text-white font-semibold mb-3 text-xl">Acordo (Deal)</div>
+      {!results ? (
+        <div className="text-gray-400">
+          {remaining.length > MAX_ICM_PLAYERS
+            ? `O acordo é calculado com até ${MAX_ICM_PLAYERS} jogadores ativos (restam ${remaining.length}).`
+            : 'É preciso ao menos 2 jogadores ativos e prêmios em aberto para calcular um acordo.'}
+        </div>
+      ) : (
+        <>
+          <div className="flex items-center justify-between mb-4">
+            <div className="text-sm text-gray-400">
+              Prêmios em aberto: {prizes.map(v => `R$ ${v.toFixed(2)}`).join(' • ')} (total R$ {prizesTotal.toFixed(2)})
+            </div>
+            <div className="flex items-center gap-2">
+              <label className="text-sm text-gray-400">Reservar p/ 1º (R$)</label>
+              <input
+                type="number"
+                className="w-28 p-2 rounded bg-black text-white"
+                value={savedForFirst}
+                onChange={(e) => setSavedForFirst(Math.max(0, Number(e.target.value) || 0))}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-5 gap-2 text-sm text-gray-400 px-3 mb-1">
+            <div>Jogador</div>
+            <div className="text-right">Fichas</div>
+            <div className="text-right">ICM</div>
+            <div className="text-right">Chip Chop</div>
+            <div className="text-right">Reserva + ICM</div>
+          </div>
+          <div className="space-y-2">
+            {remaining.map((p, i) => (
+              <div key={p.id} className="grid grid-cols-5 gap-2 p-3 rounded bg-gray-900 text-white">
+                <div className="font-medium truncate">{p.name}</div>
+                <div className="text-right">{p.chips.toLocaleString()}</div>
+                <div className="text-right">R$ {results.icm[i].toFixed(2)}</div>
+                <div className="text-right">R$ {results.chipchop[i].toFixed(2)}</div>
+                <div className="text-right">R$ {results.save[i].toFixed(2)}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex gap-2 mt-4">
+            {Object.keys(methodLabels).map(method => (
+              <button
+                key={method}
+                onClick={() => applyDeal(method)}
+                className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded text-white"
+              >
+                Aplicar {methodLabels[method]}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DealCalculator;
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { TIE_MODES } from './eliminations';
+import { isBountyEnabled } from './bounty';
+
+// Diálogo de eliminação: um ou mais jogadores caindo na mesma mão
+const EliminationDialog = ({ tournament, initialPlayerId, onConfirm, onClose }) => {
+  const active = tournament.players.filter(p => p.active);
+  const [selected, setSelected] = useState(() => new Set([initialPlayerId]));
+  const [stacks, setStacks] = useState(() => Object.fromEntries(active.map(p => [p.id, p.chips])));
+  const [tieMode, setTieMode] = useState(TIE_MODES.STACK);
+  const [eliminators, setEliminators] = useState({});
+  const bountyEnabled = isBountyEnabled(tournament);
+
+  const toggle = (id) => {
+    setSelected((cur) => {
+      const next = new Set(cur);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  };
+
+  const busting = active.filter(p => selected.has(p.id));
+  const survivors = active.filter(p => !selected.has(p.id));
+  const bestPlace = active.length - busting.length + 1;
+  // Ao menos um jogador precisa continuar no torneio; em bounty, cada eliminado precisa de quem o eliminou
+  const eliminatorOf = (id) => (survivors.some(p => p.id === eliminators[id]) ? eliminators[id] : null);
+  const valid = busting.length > 0 && busting.length < active.length
+    && (!bountyEnabled || busting.every(p => eliminatorOf(p.id)));
+
+  const confirm = () => {
+    if (!valid) return;
+    onConfirm(busting.map(p => ({ id: p.id, startingStack: stacks[p.id] || 0, eliminatorId: eliminatorOf(p.id) })), tieMode);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center p-6">
+      <div className="bg-gray-800 rounded-lg p-6 w-full max-w-2xl space-y-4 text-white">
+        <h3 className="text-xl font-bold">Eliminação</h3>
+        <div className="text-sm text-gray-400">
+          Marque todos os jogadores eliminados na mesma mão e informe as fichas de cada um no início da mão.
+          {bountyEnabled && ' Informe também quem eliminou cada jogador, para o pagamento do bounty.'}
+        </div>
+
+        <div className="space-y-2 max-h-80 overflow-auto">
+          {active.map(p => (
+            <label key={p.id} className={`flex items-center gap-3 p-2 rounded ${selected.has(p.id) ? 'bg-red-900' : 'bg-gray-900'}`}>
+              <input
+                type="checkbox"
+                className="w-4 h-4"
+                checked={selected.has(p.id)}
+                onChange={() => toggle(p.id)}
+              />
+              <span className="flex-1">{p.name}</span>
+              {selected.has(p.id) && (
+                <input
+                  type="number"
+                  className="w-32 p-1 rounded bg-black text-white text-sm"
+                  value={stacks[p.id]}
+                  onChange={(e) => setStacks((s) => ({ ...s, [p.id]: Number(e.target.value) || 0 }))}
+                  placeholder="Fichas no início da mão"
+                />
+              )}
+              {selected.has(p.id) && bountyEnabled && (
+                <select
+                  className="w-44 p-1 rounded bg-black text-white text-sm"
+                  value={eliminatorOf(p.id) ?? ''}
+                  onChange={(e) => setEliminators((s) => ({ ...s, [p.id]: Number(e.target.value) || null }))}
+                >
+                  <option value="">Eliminado por...</option>
+                  {survivors.map(s => (
+                    <option key={s.id} value={s.id}>{s.name}</option>
+                  ))}
+                </select>
+              )}
+            </label>
+          ))}
+        </div>
+
+        {busting.length > 1 && (
+          <div className="bg-gray-900 p-3 rounded space-y-2">
+            <div className="text-gray-300 font-semibold">Empate ({bestPlace}º a {active.length}º lugar)</div>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                checked={tieMode === TIE_MODES.STACK}
+                onChange={() => setTieMode(TIE_MODES.STACK)}
+              />
+              Desempatar pelo stack no início da mão (maior stack fica melhor colocado)
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                checked={tieMode === TIE_MODES.SHARED}
+                onChange={() => setTieMode(TIE_MODES.SHARED)}
+              />
+              Dividir o lugar (prêmios dos lugares somados e divididos)
+            </label>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded">
+            Cancelar
+          </button>
+          <button
+            onClick={confirm}
+            disabled={!valid}
+            className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded font-semibold disabled:opacity-50"
+          >
+            Eliminar {busting.length > 1 ? `${busting.length} jogadores` : ''}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EliminationDialog;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { eventLabels, getHistory, describeEvent, historyToCSV } from './history';
+
+// Log de auditoria do torneio
+const HistoryLog = ({ tournament }) => {
+  const [filter, setFilter] = useState('all');
+  const history = getHistory(tournament);
+  const undone = new Set(history.redoStack);
+
+  const events = history.events
+    .filter(e => filter === 'all' || e.type.startsWith(filter))
+    .slice()
+    .reverse();
+
+  const exportHistory = () => {
+    const blob = new Blob([historyToCSV(tournament)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${tournament.name.replace(/[^a-z0-9]/gi,'_')}_historico.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg">
+      <div className="flex items-center justify-between mb-4">
+        <div className="text-white font-semibold text-xl">Histórico ({history.events.length})</div>
+        <div className="flex gap-2">
+          <select
+            className="p-2 rounded bg-black text-white"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+          >
+            <option value="all">Todos</option>
+            <option value="player.">Jogadores</option>
+            <option value="clock.">Relógio</option>
+            <option value="status.">Estado</option>
+            <option value="history.">Desfazer/Refazer</option>
+          </select>
+          <button onClick={exportHistory} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded text-white">
+            Exportar CSV
+          </button>
+        </div>
+      </div>
+
+      {events.length === 0 && (
+        <div className="text-gray-500 text-center py-4">Nenhuma ação registrada.</div>
+      )}
+      <div className="space-y-2 max-h-[600px] overflow-auto">
+        {events.map(e => (
+          <div key={e.id} className={`p-3 rounded bg-gray-900 text-white ${undone.has(e.id) ? 'opacity-50 line-through' : ''}`}>
+            <div className="flex items-center justify-between">
+              <div className="font-medium">{eventLabels[e.type] || e.type}</div>
+              <div className="text-xs text-gray-400">
+                {new Date(e.at).toLocaleTimeString()}{e.level != null ? ` • Nível ${e.level}` : ''}
+              </div>
+            </div>
+            <div className="text-sm text-gray-400 break-words">{describeEvent(e, tournament)}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryLog;
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { TIE_BREAKERS, tieBreakerLabels, calculateLeagueStandings } from './league';
+import ScoringEditor from './ScoringEditor';
+
+// Ligas/temporadas: etapas, descarte, desempate e classificação geral
+const LeagueManager = ({ leagues, tournaments, profiles, createLeague, updateLeague, removeLeague }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const league = leagues.find(l => l.id === selectedId) || leagues[0];
+
+  if (!league) {
+    return (
+      <div className="bg-gray-800 p-6 rounded-lg text-center text-white space-y-4">
+        <div>Nenhuma liga criada. Crie uma liga para somar os pontos de várias etapas.</div>
+        <button
+          onClick={() => setSelectedId(createLeague(`Liga ${new Date().getFullYear()}`))}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded text-white inline-flex items-center gap-2"
+        >
+          <Plus size={16} /> Nova Liga
+        </button>
+      </div>
+    );
+  }
+
+  const { stages, standings } = calculateLeagueStandings(league, tournaments, profiles);
+  const save = (patch) => updateLeague(league.id, patch);
+
+  const toggleStage = (id) => {
+    const ids = league.tournamentIds.includes(id)
+      ? league.tournamentIds.filter(x => x !== id)
+      : [...league.tournamentIds, id];
+    // Etapas seguem a ordem de criação dos torneios
+    const order = [...tournaments].reverse().map(t => t.id);
+    save({ tournamentIds: ids.sort((a, b) => order.indexOf(a) - order.indexOf(b)) });
+  };
+
+  const moveTieBreaker = (index, dir) => {
+    const list = [...league.tieBreakers];
+    const target = index + dir;
+    if (target < 0 || target >= list.length) return;
+    [list[index], list[target]] = [list[target], list[index]];
+    save({ tieBreakers: list });
+  };
+
+  const toggleTieBreaker = (tb) => {
+    save({
+      tieBreakers: league.tieBreakers.includes(tb)
+        ? league.tieBreakers.filter(x => x !== tb)
+        : [...league.tieBreakers, tb],
+    });
+  };
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg space-y-6">
+      <div className="flex items-center gap-2">
+        <select
+          className="p-2 rounded bg-gray-900 text-white"
+          value={league.id}
+          onChange={(e) => setSelectedId(e.target.value)}
+        >
+          {leagues.map(l => (
+            <option key={l.id} value={l.id}>{l.name}</option>
+          ))}
+        </select>
+        <input
+          className="flex-1 p-2 rounded bg-gray-900 text-white"
+          value={league.name}
+          onChange={(e) => save({ name: e.target.value })}
+        />
+        <button
+          onClick={() => setSelectedId(createLeague(`Liga ${new Date().getFullYear()}`))}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded text-white flex items-center gap-2"
+        >
+          <Plus size={16} /> Nova Liga
+        </button>
+        <button
+          onClick={() => {
+            if (!window.confirm(`Excluir a liga ${league.name}? Os torneios não são apagados.`)) return;
+            removeLeague(league.id);
+            setSelectedId(null);
+          }}
+          className="p-2 rounded bg-red-600 hover:bg-red-700 text-white"
+        >
+          <Trash2 size={16} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4">
+        {/* Etapas */}
+        <div className="bg-gray-900 p-4 rounded-lg col-span-2">
+          <div className="text-gray-300 font-semibold mb-2">Etapas</div>
+          <div className="space-y-1 max-h-60 overflow-auto">
+            {[...tournaments].reverse().map(t => (
+              <label key={t.id} className="flex items-center gap-2 text-white text-sm">
+                <input
+                  type="checkbox"
+                  className="w-4 h-4"
+                  checked={league.tournamentIds.includes(t.id)}
+                  onChange={() => toggleStage(t.id)}
+                />
+                <span className="flex-1 truncate">{t.name}</span>
+                <span className="text-gray-400">peso {t.stageWeight}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {/* Descarte e desempate */}
+        <div className="bg-gray-900 p-4 rounded-lg space-y-3">
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Descartar piores resultados</label>
+            <input
+              type="number"
+              className="w-full p-2 rounded bg-black text-white"
+              value={league.dropWorst}
+              onChange={(e) => save({ dropWorst: Math.max(0, Number(e.target.value) || 0) })}
+            />
+          </div>
+          <div>
+            <div className="text-sm text-gray-400 mb-1">Desempate (em ordem)</div>
+            {league.tieBreakers.map((tb, i) => (
+              <div key={tb} className="flex items-center gap-1 text-white text-sm">
+                <span className="flex-1">{i + 1}. {tieBreakerLabels[tb]}</span>
+                <button onClick={() => moveTieBreaker(i, -1)} className="px-2 bg-gray-700 rounded">↑</button>
+                <button onClick={() => moveTieBreaker(i, 1)} className="px-2 bg-gray-700 rounded">↓</button>
+                <button onClick={() => toggleTieBreaker(tb)} className="px-2 bg-red-700 rounded">×</button>
+              </div>
+            ))}
+            {TIE_BREAKERS.filter(tb => !league.tieBreakers.includes(tb)).map(tb => (
+              <button
+                key={tb}
+                onClick={() => toggleTieBreaker(tb)}
+                className="block text-xs text-gray-400 hover:text-white"
+              >
+                + {tieBreakerLabels[tb]}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <ScoringEditor
+        key={league.id}
+        scoring={league.scoring}
+        allowInherit
+        sampleField={Math.max(10, ...stages.map(t => t.players.length))}
+        onApply={(scoring) => save({ scoring })}
+      />
+
+      {/* Classificação */}
+      <div className="bg-gray-900 p-4 rounded-lg overflow-auto">
+        <div className="text-white font-semibold mb-3 text-xl">Classificação da Temporada</div>
+        {standings.length === 0 ? (
+          <div className="text-gray-500 text-center py-4">Selecione as etapas da liga.</div>
+        ) : (
+          <table className="w-full text-sm text-white">
+            <thead>
+              <tr className="text-gray-400">
+                <th className="text-left p-2">#</th>
+                <th className="text-left p-2">Jogador</th>
+                {stages.map((t, i) => (
+                  <th key={t.id} className="text-right p-2" title={t.name}>E{i + 1}</th>
+                ))}
+                <th className="text-right p-2">Vitórias</th>
+                <th className="text-right p-2">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {standings.map(row => (
+                <tr key={row.key} className={row.rank === 1 ? 'bg-yellow-900' : 'border-t border-gray-800'}>
+                  <td className="p-2 font-bold">{row.rank}º</td>
+                  <td className="p-2">{row.name}</td>
+                  {row.results.map((r, i) => (
+                    <td
+                      key={i}
+                      className={`p-2 text-right ${row.dropped.has(i) ? 'line-through text-gray-500' : ''}`}
+                      title={r ? `${r.position}º lugar` : 'Não jogou'}
+                    >
+                      {r ? r.points.toFixed(2) : '-'}
+                    </td>
+                  ))}
+                  <td className="p-2 text-right">{row.wins}</td>
+                  <td className="p-2 text-right font-bold">{row.total.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="text-xs text-gray-500 mt-2">
+          Jogadores são reconhecidos entre as etapas pelo cadastro ou, sem cadastro, pelo nome (sem acentos e sem diferenciar maiúsculas).
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LeagueManager;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { getTimeUntilLevel, formatDuration, formatClockAt } from './clock';
+import { getNextLevel, getNextBreakIndex } from './blinds';
+import { THEMES } from './tvLayout';
+import { isLocked } from './lifecycle';
+
+// Próximos blinds e contagem até o próximo intervalo, com o horário previsto
+const NextLevelInfo = ({ tournament, now, large = false, theme = THEMES.classic }) => {
+  const nextLevel = getNextLevel(tournament);
+  const breakIndex = getNextBreakIndex(tournament);
+  const untilBreak = breakIndex != null ? getTimeUntilLevel(tournament, breakIndex, now) : null;
+  if (isLocked(tournament)) return null;
+
+  return (
+    <div className={`flex justify-center gap-x-8 gap-y-1 flex-wrap ${large ? 'text-2xl mt-4' : 'text-lg my-2'}`}>
+      <span className={theme.muted}>
+        {nextLevel ? (
+          <>
+            Próximo nível {nextLevel.level}:{' '}
+            <span className="font-semibold">{nextLevel.smallBlind}/{nextLevel.bigBlind}</span>
+            {nextLevel.ante > 0 ? ` • Ante ${nextLevel.ante}` : ''}
+          </>
+        ) : 'Último nível'}
+      </span>
+      {untilBreak != null && (
+        <span className="text-orange-400">
+          Intervalo em <span className="font-mono font-semibold">{formatDuration(untilBreak)}</span>
+          {' '}• às {formatClockAt(untilBreak, now)}
+        </span>
+      )}
+      {!tournament.isRunning && (
+        <span className={theme.muted}>(relógio parado: horários contam a partir de agora)</span>
+      )}
+    </div>
+  );
+};
+
+export default NextLevelInfo;
@@ -0,0 +1,179 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { calculatePrizePool } from './finance';
+import {
+  defaultPayoutConfig,
+  countEntries,
+  selectPayoutTable,
+  getTournamentPayouts,
+} from './payouts';
+
+// Estrutura de premiação do torneio
+const PayoutsManager = ({ tournament, save }) => {
+  const config = tournament.payouts || defaultPayoutConfig;
+  const prizePool = calculatePrizePool(tournament);
+  const entries = countEntries(tournament);
+  const currentTable = selectPayoutTable(config, entries);
+  const payouts = getTournamentPayouts(tournament);
+
+  const saveConfig = (patch) => save({ payouts: { ...config, ...patch } });
+
+  const updateTable = (index, patch) => {
+    saveConfig({ tables: config.tables.map((t, i) => i === index ? { ...t, ...patch } : t) });
+  };
+
+  const parsePercentages = (text) => text
+    .split(/[;,\s]+/)
+    .map(Number)
+    .filter(n => n > 0);
+
+  const addTable = () => {
+    const last = config.tables[config.tables.length - 1];
+    saveConfig({ tables: [...config.tables, { maxEntries: null, percentages: [...(last?.percentages || [100])] }] });
+  };
+
+  const removeTable = (index) => {
+    saveConfig({ tables: config.tables.filter((_, i) => i !== index) });
+  };
+
+  const updateFixed = (index, patch) => {
+    saveConfig({ fixedPrizes: config.fixedPrizes.map((f, i) => i === index ? { ...f, ...patch } : f) });
+  };
+
+  const addFixed = () => {
+    const nextPlace = Math.max(0, ...config.fixedPrizes.map(f => f.place)) + 1;
+    saveConfig({ fixedPrizes: [...config.fixedPrizes, { place: nextPlace, amount: 100 }] });
+  };
+
+  const removeFixed = (index) => {
+    saveConfig({ fixedPrizes: config.fixedPrizes.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-2xl font-bold text-white">Premiação</h3>
+        <div className="text-gray-300">
+          <span className="font-semibold">Prize Pool:</span> R$ {prizePool.toFixed(2)}
+          <span className="ml-4 font-semibold">Entradas:</span> {entries}
+        </div>
+      </div>
+
+      {/* Premiação atual */}
+      <div className="bg-gray-900 p-4 rounded-lg">
+        <div className="text-gray-300 font-semibold mb-3">Prêmios para {entries} entradas</div>
+        {payouts.length === 0 ? (
+          <div className="text-gray-500">Nenhum prêmio a distribuir ainda.</div>
+        ) : (
+          <div className="grid grid-cols-3 md:grid-cols-5 gap-3">
+            {payouts.map((amount, i) => {
+              const pl = tournament.players.find(p => p.position === i + 1);
+              return (
+                <div key={i} className="bg-black p-3 rounded text-center">
+                  <div className="text-sm text-gray-400">{i + 1}º Lugar</div>
+                  <div className="text-lg font-bold text-green-400">R$ {amount.toFixed(2)}</div>
+                  <div className="text-xs text-gray-400 truncate">{pl ? pl.name : '-'}</div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Tabelas por número de entradas */}
+      <div className="bg-gray-900 p-4 rounded-lg space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="text-gray-300 font-semibold">Tabelas por número de entradas</div>
+          <button onClick={addTable} className="px-3 py-1 bg-green-600 hover:bg-green-700 rounded text-white text-sm flex items-center gap-1">
+            <Plus size={14} /> Tabela
+          </button>
+        </div>
+        {config.tables.map((table, index) => {
+          const total = table.percentages.reduce((s, n) => s + n, 0);
+          return (
+            <div key={index} className={`p-3 rounded flex items-center gap-4 ${table === currentTable ? 'bg-green-900' : 'bg-black'}`}>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Até (entradas)</label>
+                <input
+                  type="number"
+                  className="w-24 p-2 rounded bg-gray-800 text-white"
+                  placeholder="sem limite"
+                  value={table.maxEntries ?? ''}
+                  onChange={(e) => updateTable(index, { maxEntries: e.target.value === '' ? null : Math.max(1, Number(e.target.value) || 1) })}
+                />
+              </div>
+              <div className="flex-1">
+                <label className="block text-xs text-gray-400 mb-1">Percentuais por lugar (1º, 2º, ...)</label>
+                <input
+                  key={table.percentages.join(',')}
+                  className="w-full p-2 rounded bg-gray-800 text-white"
+                  defaultValue={table.percentages.join(', ')}
+                  onBlur={(e) => updateTable(index, { percentages: parsePercentages(e.target.value) })}
+                />
+              </div>
+              <div className={`text-sm ${Math.abs(total - 100) < 0.01 ? 'text-gray-400' : 'text-orange-300'}`}>
+                Soma: {total}%
+              </div>
+              <button onClick={() => removeTable(index)} className="p-2 rounded bg-red-600 hover:bg-red-700 text-white">
+                <Trash2 size={14} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Lugares com valor fixo e arredondamento */}
+      <div className="grid grid-cols-2 gap-4">
+        <div className="bg-gray-900 p-4 rounded-lg space-y-2">
+          <div className="flex items-center justify-between">
+            <div className="text-gray-300 font-semibold">Lugares com valor fixo</div>
+            <button onClick={addFixed} className="px-3 py-1 bg-green-600 hover:bg-green-700 rounded text-white text-sm flex items-center gap-1">
+              <Plus size={14} /> Lugar
+            </button>
+          </div>
+          {config.fixedPrizes.length === 0 && (
+            <div className="text-sm text-gray-500">Nenhum. Todos os lugares usam percentual.</div>
+          )}
+          {config.fixedPrizes.map((f, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="number"
+                className="w-20 p-2 rounded bg-black text-white"
+                value={f.place}
+                onChange={(e) => updateFixed(index, { place: Math.max(1, Number(e.target.value) || 1) })}
+              />
+              <span className="text-gray-400">º lugar: R$</span>
+              <input
+                type="number"
+                className="flex-1 p-2 rounded bg-black text-white"
+                value={f.amount}
+                onChange={(e) => updateFixed(index, { amount: Math.max(0, Number(e.target.value) || 0) })}
+              />
+              <button onClick={() => removeFixed(index)} className="p-2 rounded bg-red-600 hover:bg-red-700 text-white">
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="bg-gray-900 p-4 rounded-lg">
+          <div className="text-gray-300 font-semibold mb-2">Arredondamento</div>
+          <select
+            className="w-full p-2 rounded bg-black text-white"
+            value={config.roundTo}
+            onChange={(e) => saveConfig({ roundTo: Number(e.target.value) })}
+          >
+            <option value={0}>Sem arredondamento</option>
+            <option value={5}>R$ 5 mais próximo</option>
+            <option value={10}>R$ 10 mais próximo</option>
+          </select>
+          <div className="text-xs text-gray-400 mt-2">
+            A diferença do arredondamento é somada ao melhor lugar pago.
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PayoutsManager;
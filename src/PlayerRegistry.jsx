@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { searchProfiles, profileStats } from './registry';
+
+const money = (v) => `R$ ${v.toFixed(2)}`;
+
+const Stat = ({ label, value, className = 'text-white' }) => (
+  <div className="bg-black p-3 rounded text-center">
+    <div className="text-sm text-gray-400">{label}</div>
+    <div className={`text-xl font-bold ${className}`}>{value}</div>
+  </div>
+);
+
+// Cadastro de jogadores compartilhado entre torneios
+const PlayerRegistry = ({ profiles, tournaments, createProfile, updateProfile, removeProfile, linkPlayers }) => {
+  const [query, setQuery] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [newName, setNewName] = useState('');
+
+  const list = query.trim()
+    ? searchProfiles(profiles, query, profiles.length)
+    : [...profiles].sort((a, b) => a.name.localeCompare(b.name));
+  const profile = profiles.find(p => p.id === selectedId);
+  const stats = profile && profileStats(profile, tournaments);
+
+  const add = () => {
+    if (!newName.trim()) return;
+    const id = createProfile({ name: newName });
+    if (id) setSelectedId(id);
+    setNewName('');
+  };
+
+  return (
+    <div className="grid grid-cols-3 gap-4">
+      <div className="bg-gray-800 p-4 rounded-lg space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="text-xl font-bold text-white">Jogadores ({profiles.length})</h3>
+          <button
+            onClick={linkPlayers}
+            title="Liga os jogadores dos torneios aos cadastros de mesmo nome"
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-xs"
+          >
+            Vincular torneios
+          </button>
+        </div>
+        <div className="flex gap-2">
+          <input
+            className="flex-1 p-2 rounded bg-black text-white"
+            placeholder="Novo jogador"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && add()}
+          />
+          <button onClick={add} className="px-3 py-2 bg-green-600 hover:bg-green-700 rounded text-white">
+            <Plus size={16} />
+          </button>
+        </div>
+        <input
+          className="w-full p-2 rounded bg-black text-white"
+          placeholder="Buscar por nome ou apelido"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <div className="space-y-1 max-h-[32rem] overflow-auto">
+          {list.map(p => (
+            <div
+              key={p.id}
+              onClick={() => setSelectedId(p.id)}
+              className={`p-2 rounded cursor-pointer text-white ${p.id === selectedId ? 'bg-green-700' : 'bg-gray-900'}`}
+            >
+              <div className="font-medium flex items-center gap-2">
+                {p.name}
+                {p.blocked && <span className="text-xs bg-red-700 px-2 py-0.5 rounded">BLOQUEADO</span>}
+              </div>
+              {p.nickname && <div className="text-xs text-gray-400">{p.nickname}</div>}
+            </div>
+          ))}
+          {list.length === 0 && (
+            <div className="text-gray-500 text-center py-4">Nenhum jogador encontrado.</div>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-gray-800 p-4 rounded-lg col-span-2 space-y-4">
+        {!profile ? (
+          <div className="text-gray-400 text-center py-12">Selecione um jogador para ver o perfil.</div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-3">
+              {[
+                ['name', 'Nome'],
+                ['nickname', 'Apelido'],
+                ['contact', 'Contato'],
+              ].map(([field, label]) => (
+                <div key={field}>
+                  <label className="block text-sm text-gray-400 mb-1">{label}</label>
+                  <input
+                    className="w-full p-2 rounded bg-black text-white"
+                    value={profile[field]}
+                    onChange={(e) => updateProfile(profile.id, { [field]: e.target.value })}
+                  />
+                </div>
+              ))}
+              <label className="flex items-center gap-2 text-white self-end pb-2">
+                <input
+                  type="checkbox"
+                  className="w-4 h-4"
+                  checked={profile.blocked}
+                  onChange={(e) => updateProfile(profile.id, { blocked: e.target.checked })}
+                />
+                Bloqueado (não pode se inscrever)
+              </label>
+              <div className="col-span-2">
+                <label className="block text-sm text-gray-400 mb-1">Observações</label>
+                <textarea
+                  className="w-full p-2 rounded bg-black text-white"
+                  rows={2}
+                  value={profile.notes}
+                  onChange={(e) => updateProfile(profile.id, { notes: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-3 gap-3">
+              <Stat label="Torneios" value={stats.played} />
+              <Stat label="ITM" value={`${stats.itm}${stats.played ? ` (${Math.round(stats.itm / stats.played * 100)}%)` : ''}`} />
+              <Stat label="Colocação média" value={stats.averageFinish != null ? `${stats.averageFinish}º` : '-'} />
+              <Stat label="Investido" value={money(stats.invested)} />
+              <Stat label="Ganho" value={money(stats.won)} />
+              <Stat label="Saldo" value={money(stats.net)} className={stats.net < 0 ? 'text-red-400' : 'text-green-400'} />
+            </div>
+
+            <div className="bg-gray-900 p-3 rounded">
+              <div className="text-gray-300 font-semibold mb-2">Histórico</div>
+              {stats.history.length === 0 ? (
+                <div className="text-gray-500 text-sm">Nenhum torneio vinculado a este jogador.</div>
+              ) : (
+                stats.history.map(h => (
+                  <div key={h.tournamentId} className="grid grid-cols-4 gap-2 text-sm text-white py-1">
+                    <div className="truncate">{h.tournamentName}</div>
+                    <div className="text-right">{h.position ? `${h.position}º de ${h.field}` : 'Em jogo'}</div>
+                    <div className="text-right text-gray-400">{money(h.invested)}</div>
+                    <div className={`text-right ${h.won > 0 ? 'text-green-400' : 'text-gray-400'}`}>{money(h.won)}</div>
+                  </div>
+                ))
+              )}
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                onClick={() => {
+                  if (!window.confirm(`Excluir o cadastro de ${profile.name}? Os resultados nos torneios são mantidos.`)) return;
+                  removeProfile(profile.id);
+                  setSelectedId(null);
+                }}
+                className="px-3 py-2 bg-red-600 hover:bg-red-700 rounded text-white flex items-center gap-2"
+              >
+                <Trash2 size={16} /> Excluir cadastro
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PlayerRegistry;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { downloadBackup } from './backup';
+
+// Aviso de registros corrompidos: podem ser baixados para recuperação manual antes de descartar
+const QuarantineNotice = ({ quarantine, onDiscard }) => {
+  if (!quarantine.length) return null;
+
+  const download = () => {
+    downloadBackup({ quarantine }, `quarentena_${new Date().toISOString().slice(0, 10)}`);
+  };
+
+  return (
+    <div className="bg-yellow-900 text-yellow-100 p-3 rounded mb-4 flex items-center justify-between gap-4">
+      <div className="text-sm">
+        {quarantine.length} registro(s) salvos estavam corrompidos e foram separados em quarentena.
+        Baixe o arquivo para tentar recuperá-los.
+      </div>
+      <div className="flex gap-2">
+        <button onClick={download} className="px-3 py-1 bg-yellow-700 hover:bg-yellow-600 rounded text-white text-sm whitespace-nowrap">
+          Baixar
+        </button>
+        <button
+          onClick={() => window.confirm('Descartar os registros em quarentena? Eles não poderão ser recuperados.') && onDiscard()}
+          className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-sm"
+        >
+          Descartar
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QuarantineNotice;
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import {
+  SCORING_SYSTEMS,
+  scoringLabels,
+  scoringVariables,
+  defaultScoring,
+  validateExpression,
+  previewPoints,
+} from './scoring';
+
+// Escolha do sistema de pontuação, com pré-visualização antes de aplicar
+const ScoringEditor = ({ scoring, onApply, sampleField = 10, weight = 1, allowInherit = false }) => {
+  const [inherit, setInherit] = useState(allowInherit && !scoring);
+  const [draft, setDraft] = useState({ ...defaultScoring, ...scoring });
+  const [field, setField] = useState(Math.max(2, sampleField));
+
+  const error = draft.system === 'custom' ? validateExpression(draft.expression) : null;
+  const preview = previewPoints(draft, field, weight);
+  const changed = inherit !== (allowInherit && !scoring) || JSON.stringify(draft) !== JSON.stringify({ ...defaultScoring, ...scoring });
+
+  const updateTable = (index, value) => {
+    const table = [...draft.table];
+    table[index] = Math.max(0, Number(value) || 0);
+    setDraft({ ...draft, table });
+  };
+
+  return (
+    <div className="bg-gray-900 p-4 rounded-lg space-y-3">
+      <div className="text-gray-300 font-semibold">Pontuação</div>
+
+      {allowInherit && (
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            className="w-4 h-4"
+            checked={inherit}
+            onChange={(e) => setInherit(e.target.checked)}
+          />
+          Usar a pontuação configurada em cada etapa
+        </label>
+      )}
+
+      {!inherit && (
+        <>
+          <select
+            className="w-full p-2 rounded bg-black text-white"
+            value={draft.system}
+            onChange={(e) => setDraft({ ...draft, system: e.target.value })}
+          >
+            {SCORING_SYSTEMS.map(s => (
+              <option key={s} value={s}>{scoringLabels[s]}</option>
+            ))}
+          </select>
+
+          {draft.system === 'table' && (
+            <div className="space-y-2">
+              <div className="grid grid-cols-5 gap-2">
+                {draft.table.map((points, i) => (
+                  <div key={i}>
+                    <label className="block text-xs text-gray-400">{i + 1}º</label>
+                    <input
+                      type="number"
+                      className="w-full p-1 rounded bg-black text-white text-sm"
+                      value={points}
+                      onChange={(e) => updateTable(i, e.target.value)}
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setDraft({ ...draft, table: [...draft.table, 0] })}
+                  className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-xs"
+                >
+                  + Lugar
+                </button>
+                {draft.table.length > 1 && (
+                  <button
+                    onClick={() => setDraft({ ...draft, table: draft.table.slice(0, -1) })}
+                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-xs"
+                  >
+                    − Lugar
+                  </button>
+                )}
+              </div>
+              <div className="text-xs text-gray-500">Lugares fora da tabela não pontuam. Os pontos são multiplicados pelo peso da etapa.</div>
+            </div>
+          )}
+
+          {draft.system === 'custom' && (
+            <div className="space-y-1">
+              <input
+                className={`w-full p-2 rounded bg-black text-white font-mono text-sm ${error ? 'border border-red-500' : ''}`}
+                value={draft.expression}
+                onChange={(e) => setDraft({ ...draft, expression: e.target.value })}
+              />
+              {error && <div className="text-xs text-red-400">{error}</div>}
+              <div className="text-xs text-gray-500">
+                Variáveis: {Object.entries(scoringVariables).map(([name, label]) => `${name} (${label.toLowerCase()})`).join(', ')}.
+                {' '}Funções: sqrt, pow, ln, log, min, max, abs, round, floor, ceil. Operadores: + − × ÷ ^ %.
+              </div>
+            </div>
+          )}
+
+          {/* Pré-visualização */}
+          <div>
+            <div className="flex items-center gap-2 text-sm text-gray-400 mb-1">
+              Pré-visualização para
+              <input
+                type="number"
+                className="w-16 p-1 rounded bg-black text-white text-sm"
+                value={field}
+                onChange={(e) => setField(Math.max(2, Math.min(200, Number(e.target.value) || 2)))}
+              />
+              jogadores (1 ação cada, peso {weight})
+            </div>
+            <div className="grid grid-cols-5 md:grid-cols-10 gap-1 max-h-40 overflow-auto">
+              {preview.map(row => (
+                <div key={row.position} className="bg-black p-1 rounded text-center">
+                  <div className="text-xs text-gray-500">{row.position}º</div>
+                  <div className="text-sm text-white">{row.points.toFixed(2)}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          onClick={() => onApply(inherit ? null : draft)}
+          disabled={!changed || Boolean(error && !inherit)}
+          className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded text-white disabled:opacity-40"
+        >
+          Aplicar Pontuação
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ScoringEditor;
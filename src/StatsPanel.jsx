@@ -0,0 +1,115 @@
+import React from 'react';
+import { stackLabels, STACK_TYPES } from './chips';
+import { tournamentStats, mZone, mZoneLabels } from './stats';
+
+const zoneColors = {
+  green: 'text-green-400',
+  yellow: 'text-yellow-300',
+  orange: 'text-orange-400',
+  red: 'text-red-400',
+  dead: 'text-red-600',
+};
+
+const fixed = (v, digits = 1) => (v == null ? '—' : v.toFixed(digits));
+
+// Fichas em jogo, stack médio e M de cada jogador no nível atual
+const StatsPanel = ({ tournament }) => {
+  const stats = tournamentStats(tournament);
+  const level = stats.level;
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg space-y-6 text-white">
+      <div className="flex items-center justify-between">
+        <h3 className="text-2xl font-bold">Estatísticas</h3>
+        {level && (
+          <div className="text-gray-300 text-sm">
+            Calculado com {level.smallBlind}/{level.bigBlind}{level.ante > 0 ? ` +${level.ante}` : ''} (nível {level.level})
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-4 gap-4">
+        <div className="bg-gray-900 p-4 rounded-lg text-center">
+          <div className="text-sm text-gray-400">Fichas em jogo</div>
+          <div className="text-2xl font-bold">{stats.issued.total.toLocaleString()}</div>
+        </div>
+        <div className="bg-gray-900 p-4 rounded-lg text-center">
+          <div className="text-sm text-gray-400">Stack médio</div>
+          <div className="text-2xl font-bold">{Math.round(stats.averageStack).toLocaleString()}</div>
+        </div>
+        <div className="bg-gray-900 p-4 rounded-lg text-center">
+          <div className="text-sm text-gray-400">Stack médio em BB</div>
+          <div className="text-2xl font-bold">{fixed(stats.averageBB)}</div>
+        </div>
+        <div className="bg-gray-900 p-4 rounded-lg text-center">
+          <div className="text-sm text-gray-400">M médio</div>
+          <div className={`text-2xl font-bold ${zoneColors[mZone(stats.averageM)] || ''}`}>{fixed(stats.averageM)}</div>
+        </div>
+      </div>
+
+      {/* Origem das fichas */}
+      <div className="bg-gray-900 p-4 rounded-lg">
+        <div className="text-gray-300 font-semibold mb-2">Fichas entregues</div>
+        <div className="grid grid-cols-5 gap-2 text-sm">
+          {STACK_TYPES.map(type => (
+            <div key={type}>
+              <div className="text-gray-400">{stackLabels[type]} ({stats.issued.counts[type]})</div>
+              <div className="font-semibold">{stats.issued.byType[type].toLocaleString()}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Conferência */}
+      <div className={`p-4 rounded-lg text-sm ${stats.difference === 0 ? 'bg-green-900' : 'bg-red-900'}`}>
+        {stats.difference === 0 ? (
+          <span>Conferência OK: a soma das fichas dos jogadores ativos ({stats.counted.toLocaleString()}) bate com as fichas entregues.</span>
+        ) : (
+          <span>
+            A soma das fichas dos jogadores ativos ({stats.counted.toLocaleString()}) não bate com as fichas entregues
+            ({stats.issued.total.toLocaleString()}): {stats.difference > 0 ? 'sobram' : 'faltam'} {Math.abs(stats.difference).toLocaleString()}.
+            Confira a contagem (ou as sobras de uma troca de fichas).
+          </span>
+        )}
+      </div>
+
+      {/* Jogadores */}
+      <div className="bg-gray-900 p-4 rounded-lg">
+        <table className="w-full text-sm">
+          <thead className="text-gray-400 text-left">
+            <tr>
+              <th className="p-1">#</th>
+              <th className="p-1">Jogador</th>
+              <th className="p-1 text-right">Fichas</th>
+              <th className="p-1 text-right">BB</th>
+              <th className="p-1 text-right">M</th>
+              <th className="p-1">Zona</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stats.players.map((p, i) => {
+              const zone = mZone(p.m);
+              return (
+                <tr key={p.id} className="border-t border-gray-700">
+                  <td className="p-1 text-gray-400">{i + 1}</td>
+                  <td className="p-1">{p.name}</td>
+                  <td className="p-1 text-right">{p.chips.toLocaleString()}</td>
+                  <td className="p-1 text-right">{fixed(p.bb)}</td>
+                  <td className={`p-1 text-right font-semibold ${zoneColors[zone] || ''}`}>{fixed(p.m)}</td>
+                  <td className={`p-1 ${zoneColors[zone] || ''}`}>{zone ? mZoneLabels[zone] : '—'}</td>
+                </tr>
+              );
+            })}
+            {stats.players.length === 0 && (
+              <tr>
+                <td colSpan={6} className="p-4 text-center text-gray-500">Nenhum jogador ativo</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default StatsPanel;
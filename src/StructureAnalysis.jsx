@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { analyzeStructure, elapsedMinutes } from './blinds';
+import { getElapsedMs, useNow } from './clock';
+import { STATUS, getStatus } from './lifecycle';
+import { getSmallestChip } from './chips';
+
+const formatMinutes = (minutes) => `${Math.floor(minutes / 60)}h${String(Math.round(minutes % 60)).padStart(2, '0')}`;
+
+const stackColor = (bb) => {
+  if (bb < 10) return 'text-red-400';
+  if (bb < 20) return 'text-yellow-300';
+  return 'text-green-400';
+};
+
+// Stack inicial e médio em big blinds por nível e horário previsto para o fim
+const StructureAnalysis = ({ tournament }) => {
+  const now = useNow(1000);
+  const activePlayers = tournament.players.filter(p => p.active).length;
+  const [entries, setEntries] = useState(Math.max(tournament.players.length, 20));
+  const [remaining, setRemaining] = useState(activePlayers || Math.max(tournament.players.length, 20));
+
+  const { rows, totalChips, totalMinutes, finishAt } = analyzeStructure(tournament, { entries, remaining });
+  const started = getStatus(tournament) !== STATUS.REGISTRATION || tournament.isRunning;
+  const played = started ? elapsedMinutes(tournament, getElapsedMs(tournament, now)) : 0;
+  const finishTime = finishAt != null ? new Date(now + Math.max(0, finishAt - played) * 60000) : null;
+
+  return (
+    <div className="bg-gray-900 p-4 rounded-lg space-y-3">
+      <div className="text-gray-300 font-semibold">Análise da Estrutura</div>
+
+      <div className="grid grid-cols-3 gap-3">
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Entradas previstas</label>
+          <input
+            type="number"
+            min="1"
+            className="w-full p-2 rounded bg-black text-white"
+            value={entries}
+            onChange={(e) => setEntries(Math.max(1, Number(e.target.value) || 1))}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Jogadores restantes (stack médio)</label>
+          <input
+            type="number"
+            min="1"
+            className="w-full p-2 rounded bg-black text-white"
+            value={remaining}
+            onChange={(e) => setRemaining(Math.max(1, Number(e.target.value) || 1))}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Menor ficha em jogo</label>
+          <div className="p-2 text-white">{getSmallestChip(tournament)} <span className="text-xs text-gray-400">(estojo de fichas)</span></div>
+        </div>
+      </div>
+
+      <div className="text-sm text-gray-300">
+        {totalChips.toLocaleString()} fichas em jogo • Estrutura de {formatMinutes(totalMinutes)}
+        {' • '}
+        {finishAt != null ? (
+          <span className="text-green-400">
+            Término previsto: {formatMinutes(finishAt)} após o início
+            {' '}(~{finishTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}{started ? '' : ' se começar agora'})
+          </span>
+        ) : (
+          <span className="text-red-400">A estrutura acaba antes do fim previsto do torneio — faltam níveis</span>
+        )}
+      </div>
+
+      <div className="max-h-64 overflow-auto">
+        <table className="w-full text-sm">
+          <thead className="text-gray-400 text-left">
+            <tr>
+              <th className="p-1">Nível</th>
+              <th className="p-1">Blinds</th>
+              <th className="p-1">Início</th>
+              <th className="p-1">Stack inicial</th>
+              <th className="p-1">Stack médio</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr
+                key={r.index}
+                className={`border-t border-gray-700 ${r.index === tournament.currentLevelIndex && started ? 'bg-green-900/40' : ''} ${r.startsAt === finishAt ? 'font-semibold' : ''}`}
+              >
+                <td className="p-1">{r.level}</td>
+                <td className="p-1">{r.smallBlind}/{r.bigBlind}{r.ante > 0 && ` +${r.ante}`}</td>
+                <td className="p-1">{formatMinutes(r.startsAt)}</td>
+                <td className={`p-1 ${stackColor(r.startingStackBB)}`}>{r.startingStackBB.toFixed(1)} BB</td>
+                <td className={`p-1 ${stackColor(r.averageStackBB)}`}>{r.averageStackBB.toFixed(1)} BB</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default StructureAnalysis;
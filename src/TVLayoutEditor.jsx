@@ -0,0 +1,190 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ArrowUp, ArrowDown } from 'lucide-react';
+import TVScreenPublic from './TVScreenPublic';
+import {
+  THEMES,
+  WIDGET_SIZES,
+  widgetLabels,
+  sizeLabels,
+  getTVLayout,
+  moveWidget,
+  readImageFile,
+} from './tvLayout';
+import { saveImage, isStoredImage, useStoredImage } from './tvImages';
+
+// Imagens enviadas ficam no banco de imagens do navegador; acima disso, melhor usar um endereço
+const MAX_IMAGE_BYTES = 500 * 1024;
+// Largura em que a TV é desenhada antes de ser reduzida na prévia
+const PREVIEW_WIDTH = 1600;
+
+// Prévia reduzida da tela da TV, ajustada à largura do painel
+const TVPreview = ({ tournament }) => {
+  const ref = useRef(null);
+  const [scale, setScale] = useState(0.4);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(() => setScale(el.clientWidth / PREVIEW_WIDTH));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  return (
+    <div ref={ref} className="relative h-[520px] overflow-hidden rounded-lg border border-gray-700">
+      <div style={{ width: PREVIEW_WIDTH, transform: `scale(${scale})`, transformOrigin: 'top left' }}>
+        <TVScreenPublic tournament={tournament} preview />
+      </div>
+    </div>
+  );
+};
+
+// Campo de imagem: endereço ou arquivo do computador
+const ImageField = ({ label, value, onChange }) => {
+  const src = useStoredImage(value);
+  const uploaded = isStoredImage(value) || value.startsWith('data:');
+
+  const pickFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (file.size > MAX_IMAGE_BYTES) {
+      alert(`Imagem muito grande (máximo ${MAX_IMAGE_BYTES / 1024} KB). Use um endereço (URL) para imagens maiores.`);
+      return;
+    }
+    try {
+      onChange(await saveImage(await readImageFile(file)));
+    } catch (err) {
+      alert('Não foi possível guardar a imagem. Tente um arquivo menor ou use um endereço (URL).');
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-xs text-gray-400 mb-1">{label}</label>
+      <div className="flex gap-2 items-center">
+        {src && <img src={src} alt={label} className="h-10 w-10 object-contain bg-black rounded" />}
+        <input
+          className="flex-1 p-2 rounded bg-black text-white"
+          placeholder="https://..."
+          value={uploaded ? '(imagem enviada)' : value}
+          onChange={(e) => onChange(e.target.value)}
+          readOnly={uploaded}
+        />
+        <label className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded cursor-pointer text-sm">
+          Arquivo
+          <input type="file" accept="image/*" className="hidden" onChange={pickFile} />
+        </label>
+        {value && (
+          <button onClick={() => onChange('')} className="px-3 py-2 bg-red-600 hover:bg-red-700 rounded text-sm">
+            Remover
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Editor do layout da TV: widgets, ordem, largura, tema, clube e patrocinador
+const TVLayoutEditor = ({ tournament, save }) => {
+  const layout = getTVLayout(tournament);
+
+  const saveLayout = (patch) => save({ tvLayout: { ...layout, ...patch } }, 'tv.layout');
+  const updateWidget = (index, patch) => {
+    saveLayout({ widgets: layout.widgets.map((w, i) => (i === index ? { ...w, ...patch } : w)) });
+  };
+
+  return (
+    <div className="bg-gray-900 p-4 rounded-lg space-y-4 text-white">
+      <div className="text-gray-300 font-semibold">Layout da TV</div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-[380px_1fr] gap-4">
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Tema</label>
+              <select
+                className="w-full p-2 rounded bg-black text-white"
+                value={layout.theme}
+                onChange={(e) => saveLayout({ theme: e.target.value })}
+              >
+                {Object.entries(THEMES).map(([key, theme]) => (
+                  <option key={key} value={key}>{theme.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Nome do clube</label>
+              <input
+                className="w-full p-2 rounded bg-black text-white"
+                value={layout.clubName}
+                onChange={(e) => saveLayout({ clubName: e.target.value })}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Subtítulo</label>
+            <input
+              className="w-full p-2 rounded bg-black text-white"
+              value={layout.subtitle}
+              onChange={(e) => saveLayout({ subtitle: e.target.value })}
+            />
+          </div>
+          <ImageField label="Logo do clube" value={layout.logo} onChange={(logo) => saveLayout({ logo })} />
+          <ImageField
+            label="Logo do patrocinador"
+            value={layout.sponsorLogo}
+            onChange={(sponsorLogo) => saveLayout({ sponsorLogo })}
+          />
+
+          <div className="space-y-1">
+            <div className="text-xs text-gray-400">Widgets (de cima para baixo)</div>
+            {layout.widgets.map((w, index) => (
+              <div key={w.type} className={`flex items-center gap-2 p-2 rounded ${w.enabled ? 'bg-black' : 'bg-black/40 text-gray-500'}`}>
+                <input
+                  type="checkbox"
+                  checked={w.enabled}
+                  onChange={(e) => updateWidget(index, { enabled: e.target.checked })}
+                />
+                <span className="flex-1 text-sm">{widgetLabels[w.type]}</span>
+                <select
+                  className="p-1 rounded bg-gray-800 text-white text-sm"
+                  value={w.size}
+                  onChange={(e) => updateWidget(index, { size: e.target.value })}
+                >
+                  {WIDGET_SIZES.map(size => <option key={size} value={size}>{sizeLabels[size]}</option>)}
+                </select>
+                <button
+                  onClick={() => saveLayout({ widgets: moveWidget(layout.widgets, index, -1) })}
+                  disabled={index === 0}
+                  className="p-1 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-30"
+                  title="Subir"
+                >
+                  <ArrowUp size={14} />
+                </button>
+                <button
+                  onClick={() => saveLayout({ widgets: moveWidget(layout.widgets, index, 1) })}
+                  disabled={index === layout.widgets.length - 1}
+                  className="p-1 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-30"
+                  title="Descer"
+                >
+                  <ArrowDown size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="text-xs text-gray-500">
+            Widgets sem conteúdo (bounties desligados, mesas sem sorteio, premiação vazia, patrocinador sem logo) não aparecem na TV.
+          </div>
+        </div>
+
+        <div>
+          <div className="text-xs text-gray-400 mb-1">Prévia</div>
+          <TVPreview tournament={tournament} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TVLayoutEditor;
@@ -1,60 +1,33 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import TVScreenPublic from './TVScreenPublic';
+import { useTVSubscription } from './tvSync';
 
 const TVRoute = () => {
-  const [tournament, setTournament] = useState(null);
-  const [loading, setLoading] = useState(true);
-
-  useEffect(() => {
-    // Busca o torneio do localStorage
-    const tournamentData = localStorage.getItem('current_tv_tournament');
-    const tournamentId = localStorage.getItem('current_tv_tournament_id');
-    
-    if (tournamentData) {
-      try {
-        setTournament(JSON.parse(tournamentData));
-      } catch (e) {
-        console.error('Erro ao carregar torneio:', e);
-      }
-    }
-    
-    // Atualiza a cada 2 segundos
-    const interval = setInterval(() => {
-      const updatedData = localStorage.getItem('current_tv_tournament');
-      if (updatedData) {
-        try {
-          setTournament(JSON.parse(updatedData));
-        } catch (e) {
-          console.error('Erro ao atualizar torneio:', e);
-        }
-      }
-    }, 2000);
-    
-    setLoading(false);
-    
-    return () => clearInterval(interval);
-  }, []);
-
-  if (loading) {
-    return (
-      <div className="min-h-screen bg-black flex items-center justify-center">
-        <div className="text-white text-2xl">Carregando...</div>
-      </div>
-    );
-  }
+  // Recebe o torneio do painel admin em tempo real
+  const { tournament, connected, lastSeen } = useTVSubscription();
 
   if (!tournament) {
     return (
       <div className="min-h-screen bg-black flex items-center justify-center">
         <div className="text-white text-2xl text-center">
-          Nenhum torneio ativo<br />
+          {connected === null ? 'Carregando...' : 'Nenhum torneio ativo'}<br />
           <span className="text-gray-400 text-lg">Abra a TV pelo painel administrativo</span>
         </div>
       </div>
     );
   }
 
-  return <TVScreenPublic tournament={tournament} />;
+  return (
+    <div className="relative">
+      {connected === false && (
+        <div className="fixed top-0 inset-x-0 z-50 bg-red-700 text-white text-center py-3 text-xl font-bold">
+          ⚠️ Conexão com o painel perdida
+          {lastSeen ? ` • última atualização às ${new Date(lastSeen).toLocaleTimeString()}` : ''}
+        </div>
+      )}
+      <TVScreenPublic tournament={tournament} />
+    </div>
+  );
 };
 
 export default TVRoute;
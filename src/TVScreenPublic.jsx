@@ -1,124 +1,305 @@
-import React, { useState, useEffect } from 'react';
-
-const TVScreenPublic = ({ tournament }) => {
-  const [tick, setTick] = useState(0);
-
-  useEffect(() => {
-    const interval = setInterval(() => {
-      setTick(t => t + 1);
-    }, 1000);
-    return () => clearInterval(interval);
-  }, []);
-
-  const currentLevel = tournament.blinds[tournament.currentLevelIndex] ?? { 
-    level: 0, 
-    smallBlind: 0, 
-    bigBlind: 0, 
-    ante: 0, 
-    isBreak: false 
+import React from 'react';
+import { calculatePrizePool } from './finance';
+import { getTimeLeft, advanceClock, formatTime, formatDuration, formatClockAt, useNow } from './clock';
+import { getRegistrationCloseIndex, isRegistrationOpen, getTimeUntilRegistrationClose } from './registration';
+import { statusLabels, getStatus, isLocked } from './lifecycle';
+import { openTables, tableOccupancy } from './tables';
+import { BOUNTY_MODES, getBounty, getBountyWinnings, countKnockouts } from './bounty';
+import ColorUpNotice from './ColorUpNotice';
+import NextLevelInfo from './NextLevelInfo';
+import { tournamentStats } from './stats';
+import { getNextLevel } from './blinds';
+import { getTournamentPayouts } from './payouts';
+import { getTVLayout, getTheme, sizeClasses } from './tvLayout';
+import { useStoredImage } from './tvImages';
+
+const blindsText = (level) => `${level.smallBlind.toLocaleString()}/${level.bigBlind.toLocaleString()}`;
+
+// Tela pública da TV; os widgets, a ordem e o tema vêm do layout salvo no torneio
+const TVScreenPublic = ({ tournament: received, preview = false }) => {
+  // Mesmo cálculo do painel admin: tempo derivado do horário real.
+  // A TV avança os níveis vencidos por conta própria: a aba do admin pode estar em segundo plano
+  // (timers atrasados) ou com o notebook suspenso
+  const now = useNow();
+  const tournament = { ...received, ...(advanceClock(received, now) || {}) };
+  const layout = getTVLayout(tournament);
+  const theme = getTheme(layout);
+  const logo = useStoredImage(layout.logo);
+  const sponsorLogo = useStoredImage(layout.sponsorLogo);
+
+  const currentLevel = tournament.blinds[tournament.currentLevelIndex] ?? {
+    level: 0,
+    smallBlind: 0,
+    bigBlind: 0,
+    ante: 0,
+    isBreak: false
   };
+  const nextLevel = getNextLevel(tournament);
+  const breakBeforeNext = !currentLevel.isBreak && tournament.blinds[tournament.currentLevelIndex + 1]?.isBreak;
+
+  const totalPrizePool = calculatePrizePool(tournament);
+  const payouts = getTournamentPayouts(tournament);
+  const stats = tournamentStats(tournament);
+  const occupancy = tableOccupancy(tournament);
+  const hasSeats = Object.values(occupancy).some(list => list.length > 0);
+  const bounty = getBounty(tournament);
+  // PKO mostra as maiores cabeças em jogo; bounty fixo, quem mais ganhou
+  const bountyBoard = tournament.players
+    .map(p => ({ ...p, winnings: getBountyWinnings(tournament, p) }))
+    .filter(p => bounty.mode !== BOUNTY_MODES.PROGRESSIVE || p.active)
+    .sort((a, b) => (bounty.mode === BOUNTY_MODES.PROGRESSIVE ? (b.bounty || 0) - (a.bounty || 0) : b.winnings - a.winnings))
+    .slice(0, 6);
+
+  const card = (label, value, detail) => (
+    <div className={`text-center p-4 rounded-lg h-full ${theme.panel}`}>
+      <div className={`text-sm mb-2 ${theme.muted}`}>{label}</div>
+      <div className="text-3xl font-bold">{value}</div>
+      {detail && <div className={`text-lg ${theme.muted}`}>{detail}</div>}
+    </div>
+  );
+
+  const renderWidget = (type) => {
+    switch (type) {
+      case 'clock':
+        return (
+          <div className="text-center">
+            <div className={`text-9xl font-mono font-extrabold mb-4 ${theme.accent}`}>
+              {formatTime(getTimeLeft(tournament, now))}
+            </div>
+            <div className="text-3xl mb-4">
+              {currentLevel.isBreak ? '⏸️ INTERVALO' : `Nível ${currentLevel.level}`}
+            </div>
+
+            {!currentLevel.isBreak && (
+              <div className={`text-2xl mb-2 ${theme.muted}`}>
+                Blinds: {currentLevel.smallBlind}/{currentLevel.bigBlind}
+                {currentLevel.ante > 0 ? ` • Ante: ${currentLevel.ante}` : ''}
+              </div>
+            )}
+
+            {currentLevel.isBreak && (
+              <div className="text-2xl text-orange-400 mb-2">
+                Intervalo • Duração: {currentLevel.breakDuration || 10} minutos
+              </div>
+            )}
+
+            <NextLevelInfo tournament={tournament} now={now} theme={theme} large />
+
+            <ColorUpNotice tournament={tournament} large />
 
-  const formatTime = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+            {getRegistrationCloseIndex(tournament) !== null && (
+              <div className="text-2xl mt-4">
+                {isRegistrationOpen(tournament, now) ? (
+                  <span className={theme.highlight}>
+                    Inscrições encerram em {formatDuration(getTimeUntilRegistrationClose(tournament, now))}
+                    {' '}• às {formatClockAt(getTimeUntilRegistrationClose(tournament, now), now)}
+                  </span>
+                ) : (
+                  <span className={theme.muted}>Inscrições encerradas</span>
+                )}
+              </div>
+            )}
+          </div>
+        );
+
+      case 'blinds':
+        if (currentLevel.isBreak) return card('Blinds', 'Intervalo');
+        return card(
+          `Blinds • Nível ${currentLevel.level}`,
+          blindsText(currentLevel),
+          currentLevel.ante > 0 ? `Ante ${currentLevel.ante.toLocaleString()}` : null,
+        );
+
+      case 'nextLevel':
+        if (!nextLevel) return card('Próximo Nível', 'Último nível');
+        return card(
+          `Próximo Nível • ${nextLevel.level}${breakBeforeNext ? ' (após o intervalo)' : ''}`,
+          blindsText(nextLevel),
+          nextLevel.ante > 0 ? `Ante ${nextLevel.ante.toLocaleString()}` : null,
+        );
+
+      case 'prizePool':
+        return card('Prize Pool', `R$ ${totalPrizePool.toFixed(2)}`);
+
+      case 'playersLeft':
+        return card('Jogadores Restantes', stats.activeCount, `de ${tournament.players.length} inscritos`);
+
+      case 'averageStack':
+        return card(
+          'Stack Médio',
+          Math.round(stats.averageStack).toLocaleString(),
+          stats.averageBB != null ? `${stats.averageBB.toFixed(1)} BB` : null,
+        );
+
+      case 'payouts':
+        if (!payouts.length) return null;
+        return (
+          <div className={`p-6 rounded-xl h-full ${theme.panel}`}>
+            <div className="text-2xl font-bold mb-4 text-center">Premiação</div>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
+              {payouts.map((amount, i) => (
+                <div key={i} className={`p-3 rounded-lg text-center ${theme.inner}`}>
+                  <div className={`text-sm ${theme.muted}`}>{i + 1}º lugar</div>
+                  <div className={`text-2xl font-bold ${theme.accent}`}>R$ {amount.toFixed(2)}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+
+      case 'podium':
+        return (
+          <div className="grid grid-cols-3 gap-6">
+            {[1, 2, 3].map((pos) => {
+              const pl = tournament.players.find(p => p.position === pos);
+              return (
+                <div key={pos} className={`p-6 rounded-xl text-center text-white ${pos === 1 ? 'bg-yellow-900' : pos === 2 ? 'bg-gray-800' : 'bg-orange-900'}`}>
+                  <div className="text-2xl font-bold mb-2">{pos}º Lugar</div>
+                  <div className="text-3xl font-semibold mb-2">{pl ? pl.name : '-'}</div>
+                  <div className="text-xl text-gray-300">
+                    {pl ? `R$ ${pl.prize.toFixed(2)}` : '-'}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        );
+
+      case 'chipLeaders':
+        return (
+          <div className={`p-6 rounded-xl h-full ${theme.panel}`}>
+            <div className="text-2xl font-bold mb-4 text-center">Maiores Pilhas</div>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+              {tournament.players
+                .slice()
+                .sort((a, b) => b.chips - a.chips)
+                .slice(0, 6)
+                .map((p, i) => (
+                  <div key={p.id} className={`p-4 rounded-lg text-center ${theme.inner}`}>
+                    <div className="text-lg font-semibold mb-1">{p.name}</div>
+                    <div className={`text-2xl font-bold ${theme.accent}`}>{p.chips.toLocaleString()}</div>
+                    <div className={`text-sm mt-1 ${theme.muted}`}>#{i + 1}</div>
+                  </div>
+                ))}
+            </div>
+          </div>
+        );
+
+      case 'bounties':
+        if (!bounty.enabled) return null;
+        return (
+          <div className={`p-6 rounded-xl h-full ${theme.panel}`}>
+            <div className="text-2xl font-bold mb-4 text-center">
+              {bounty.mode === BOUNTY_MODES.PROGRESSIVE ? 'Cabeças (PKO)' : 'Bounties'}
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+              {bountyBoard.map(p => (
+                <div key={p.id} className={`p-4 rounded-lg text-center ${theme.inner}`}>
+                  <div className="text-lg font-semibold mb-1">{p.name}</div>
+                  {p.active && (
+                    <div className="text-2xl font-bold text-red-500">R$ {(p.bounty || 0).toFixed(2)}</div>
+                  )}
+                  <div className={`text-sm mt-1 ${theme.muted}`}>
+                    Ganhos: R$ {p.winnings.toFixed(2)} • {countKnockouts(tournament.players, p.id)} KOs
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+
+      case 'tables':
+        if (!hasSeats) return null;
+        return (
+          <div className={`p-6 rounded-xl h-full ${theme.panel}`}>
+            <div className="text-2xl font-bold mb-4 text-center">Mesas</div>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+              {openTables(tournament).map(n => (
+                <div key={n} className={`p-4 rounded-lg ${theme.inner}`}>
+                  <div className={`text-xl font-bold mb-2 text-center ${theme.accent}`}>Mesa {n}</div>
+                  {occupancy[n]
+                    .slice()
+                    .sort((a, b) => a.seat - b.seat)
+                    .map(p => (
+                      <div key={p.id} className="flex justify-between text-lg">
+                        <span className={theme.muted}>{p.seat}</span>
+                        <span className="truncate ml-2">{p.name}</span>
+                      </div>
+                    ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+
+      case 'sponsor':
+        if (!sponsorLogo) return null;
+        return (
+          <div className="flex justify-center items-center h-full">
+            <img src={sponsorLogo} alt="Patrocinador" className="max-h-40 object-contain" />
+          </div>
+        );
+
+      default:
+        return null;
+    }
   };
 
-  const totalPrizePool = tournament.players.reduce((s, p) => {
-    const actionsTotal = p.actions * tournament.buyInValue;
-    const addonsTotal = p.addons * tournament.addonValue;
-    const extraChipTotal = p.hasExtraChip ? tournament.extraChipValue : 0;
-    const total = actionsTotal + addonsTotal + extraChipTotal;
-    const afterFee = total * (1 - tournament.adminFeePercent / 100);
-    return s + afterFee;
-  }, 0);
+  const widgets = layout.widgets
+    .filter(w => w.enabled)
+    .map(w => ({ ...w, content: renderWidget(w.type) }))
+    .filter(w => w.content);
 
   return (
-    <div className="min-h-screen bg-black text-white p-8">
+    <div className={`${preview ? '' : 'min-h-screen '}p-8 ${theme.page}`}>
       {/* Cabeçalho */}
       <div className="text-center mb-8">
-        <h1 className="text-5xl font-bold text-green-400 mb-2">{tournament.name}</h1>
-        <div className="text-2xl text-gray-400">Torneio de Poker</div>
-      </div>
-
-      {/* Relógio Principal */}
-      <div className="text-center mb-12">
-        <div className="text-9xl font-mono font-extrabold text-green-400 mb-4">
-          {formatTime(tournament.timeLeft)}
-        </div>
-        <div className="text-3xl mb-4">
-          {currentLevel.isBreak ? '⏸️ INTERVALO' : `Nível ${currentLevel.level}`}
-        </div>
-        
-        {!currentLevel.isBreak && (
-          <div className="text-2xl text-gray-300 mb-2">
-            Blinds: {currentLevel.smallBlind}/{currentLevel.bigBlind} 
-            {currentLevel.ante > 0 ? ` • Ante: ${currentLevel.ante}` : ''}
-          </div>
-        )}
-        
-        {currentLevel.isBreak && (
-          <div className="text-2xl text-orange-300 mb-2">
-            Intervalo • Duração: {currentLevel.breakDuration || 10} minutos
+        {(logo || layout.clubName) && (
+          <div className="flex items-center justify-center gap-4 mb-4">
+            {logo && <img src={logo} alt={layout.clubName || 'Logo'} className="h-20 object-contain" />}
+            {layout.clubName && <div className={`text-3xl font-semibold ${theme.muted}`}>{layout.clubName}</div>}
           </div>
         )}
-      </div>
-
-      {/* Status Grid */}
-      <div className="grid grid-cols-4 gap-6 mb-12">
-        <div className="text-center p-4 bg-gray-900 rounded-lg">
-          <div className="text-sm text-gray-400 mb-2">Prize Pool</div>
-          <div className="text-3xl font-bold">R$ {totalPrizePool.toFixed(2)}</div>
-        </div>
-        
-        <div className="text-center p-4 bg-gray-900 rounded-lg">
-          <div className="text-sm text-gray-400 mb-2">Jogadores Ativos</div>
-          <div className="text-3xl font-bold">{tournament.players.filter(p => p.active).length}</div>
-        </div>
-        
-        <div className="text-center p-4 bg-gray-900 rounded-lg">
-          <div className="text-sm text-gray-400 mb-2">Nível Duração</div>
-          <div className="text-3xl font-bold">{tournament.levelDuration} min</div>
-        </div>
-        
-        <div className="text-center p-4 bg-gray-900 rounded-lg">
-          <div className="text-sm text-gray-400 mb-2">Nível Atual</div>
-          <div className="text-3xl font-bold">{currentLevel.level}</div>
+        <h1 className={`text-5xl font-bold mb-2 ${theme.accent}`}>{tournament.name}</h1>
+        <div className={`text-2xl ${theme.muted}`}>
+          {layout.subtitle ? `${layout.subtitle} • ` : ''}{statusLabels[getStatus(tournament)]}
         </div>
       </div>
 
-      {/* Top 3 */}
-      <div className="grid grid-cols-3 gap-6 mb-12">
-        {[1, 2, 3].map((pos) => {
-          const pl = tournament.players.find(p => p.position === pos);
-          return (
-            <div key={pos} className={`p-6 rounded-xl text-center ${pos === 1 ? 'bg-yellow-900' : pos === 2 ? 'bg-gray-800' : 'bg-orange-900'}`}>
-              <div className="text-2xl font-bold mb-2">{pos}º Lugar</div>
-              <div className="text-3xl font-semibold mb-2">{pl ? pl.name : '-'}</div>
-              <div className="text-xl text-gray-300">
-                {pl ? `R$ ${pl.prize.toFixed(2)}` : '-'}
-              </div>
-            </div>
-          );
-        })}
-      </div>
+      {/* Campeão */}
+      {isLocked(tournament) && (
+        <div className="text-center mb-12 p-8 bg-yellow-900 text-white rounded-xl">
+          <div className="text-3xl text-yellow-200 mb-2">🏆 Torneio encerrado</div>
+          <div className="text-6xl font-bold">
+            {tournament.players.find(p => p.position === 1)?.name || '-'}
+          </div>
+        </div>
+      )}
 
-      {/* Maiores Pilhas */}
-      <div className="bg-gray-900 p-6 rounded-xl">
-        <div className="text-2xl font-bold mb-4 text-center">Maiores Pilhas</div>
-        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
-          {tournament.players
-            .slice()
-            .sort((a, b) => b.chips - a.chips)
-            .slice(0, 6)
-            .map((p, i) => (
-              <div key={p.id} className="bg-black p-4 rounded-lg text-center">
-                <div className="text-lg font-semibold mb-1">{p.name}</div>
-                <div className="text-2xl font-bold text-green-400">{p.chips.toLocaleString()}</div>
-                <div className="text-sm text-gray-400 mt-1">#{i + 1}</div>
-              </div>
-            ))}
+      {/* Acordo da mesa final */}
+      {tournament.deal && (
+        <div className={`p-6 rounded-xl mb-12 ${theme.panel}`}>
+          <div className="text-2xl font-bold mb-4 text-center">Acordo da Mesa Final</div>
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
+            {tournament.players
+              .filter(p => tournament.deal.amounts[p.id] != null)
+              .map(p => (
+                <div key={p.id} className={`p-4 rounded-lg text-center ${theme.inner}`}>
+                  <div className="text-lg font-semibold mb-1">{p.name}</div>
+                  <div className={`text-2xl font-bold ${theme.accent}`}>R$ {p.prize.toFixed(2)}</div>
+                </div>
+              ))}
+          </div>
         </div>
+      )}
+
+      {/* Widgets na grade de 6 colunas */}
+      <div className="grid grid-cols-6 gap-6">
+        {widgets.map(w => (
+          <div key={w.type} className={sizeClasses[w.size] || sizeClasses.full}>
+            {w.content}
+          </div>
+        ))}
       </div>
     </div>
   );
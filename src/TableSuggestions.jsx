@@ -0,0 +1,60 @@
+import React from 'react';
+import { getTables, suggestBalancing, suggestTableBreak, applyMoves } from './tables';
+
+const MoveList = ({ moves }) => (
+  <div className="space-y-1">
+    {moves.map(m => (
+      <div key={m.playerId} className="text-sm text-gray-200">
+        {m.name}: Mesa {m.from.table} • Assento {m.from.seat} → <strong>Mesa {m.to.table} • Assento {m.to.seat}</strong>
+      </div>
+    ))}
+  </div>
+);
+
+// Quebra de mesa ou balanceamento sugerido (aparece nas Mesas e no painel após eliminações)
+const TableSuggestions = ({ tournament, save }) => {
+  const balancing = suggestBalancing(tournament);
+  const tableBreak = suggestTableBreak(tournament);
+
+  const applyBalancing = () => {
+    save({ players: applyMoves(tournament.players, balancing) }, 'tables.balance');
+  };
+
+  const breakTable = () => {
+    const cfg = getTables(tournament);
+    save({
+      tables: { ...cfg, broken: [...cfg.broken, tableBreak.table] },
+      players: applyMoves(tournament.players, tableBreak.moves),
+    }, 'tables.break');
+  };
+
+  if (tableBreak) {
+    return (
+      <div className="bg-orange-900 p-4 rounded-lg space-y-2">
+        <div className="flex items-center justify-between">
+          <div className="text-white font-semibold">Quebrar a Mesa {tableBreak.table}</div>
+          <button onClick={breakTable} className="px-4 py-2 bg-orange-600 hover:bg-orange-700 rounded text-white">
+            Quebrar Mesa
+          </button>
+        </div>
+        <MoveList moves={tableBreak.moves} />
+      </div>
+    );
+  }
+
+  if (!balancing.length) return null;
+
+  return (
+    <div className="bg-yellow-900 p-4 rounded-lg space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="text-white font-semibold">Balanceamento sugerido</div>
+        <button onClick={applyBalancing} className="px-4 py-2 bg-yellow-600 hover:bg-yellow-700 rounded text-black font-semibold">
+          Aplicar Movimentos
+        </button>
+      </div>
+      <MoveList moves={balancing} />
+    </div>
+  );
+};
+
+export default TableSuggestions;
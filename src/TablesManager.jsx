@@ -0,0 +1,147 @@
+import React from 'react';
+import { createPortal } from 'react-dom';
+import {
+  getTables,
+  openTables,
+  tableOccupancy,
+  ensureSeats,
+  redrawAllSeats,
+} from './tables';
+import TableSuggestions from './TableSuggestions';
+
+const SeatCard = ({ tournament, player }) => (
+  <div className="bg-white text-black p-3 rounded text-center border border-gray-400 break-inside-avoid">
+    <div className="text-xs uppercase">{tournament.name}</div>
+    <div className="text-lg font-bold truncate">{player.name}</div>
+    <div className="text-2xl font-extrabold">Mesa {player.table} • {player.seat}</div>
+  </div>
+);
+
+// Mesas, assentos e balanceamento
+const TablesManager = ({ tournament, save }) => {
+  const cfg = getTables(tournament);
+  const occupancy = tableOccupancy(tournament);
+  const unseated = tournament.players.filter(p => p.active && (!p.table || !p.seat));
+  const seated = tournament.players
+    .filter(p => p.active && p.table && p.seat)
+    .sort((a, b) => a.table - b.table || a.seat - b.seat);
+
+  const saveTables = (patch) => {
+    const next = { ...tournament, tables: { ...cfg, ...patch } };
+    save({ tables: next.tables, players: ensureSeats(next) }, 'tables.update');
+  };
+
+  const redraw = () => {
+    if (!window.confirm('Sortear novamente todos os assentos?')) return;
+    save({ players: redrawAllSeats(tournament) }, 'tables.draw');
+  };
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-2xl font-bold text-white">Mesas</h3>
+        <div className="flex gap-2">
+          {unseated.length > 0 && (
+            <button
+              onClick={() => save({ players: ensureSeats(tournament) }, 'tables.draw')}
+              className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded text-white"
+            >
+              Sentar {unseated.length} jogador(es)
+            </button>
+          )}
+          <button onClick={redraw} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded text-white">
+            Sortear Assentos
+          </button>
+          <button onClick={() => window.print()} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded text-white">
+            Imprimir Cartões
+          </button>
+        </div>
+      </div>
+
+      {/* Configuração */}
+      <div className="bg-gray-900 p-4 rounded-lg grid grid-cols-4 gap-4 items-end">
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">Número de mesas</label>
+          <input
+            type="number"
+            className="w-full p-2 rounded bg-black text-white"
+            value={cfg.count}
+            onChange={(e) => saveTables({ count: Math.max(1, Number(e.target.value) || 1) })}
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">Assentos por mesa</label>
+          <input
+            type="number"
+            className="w-full p-2 rounded bg-black text-white"
+            value={cfg.seatsPerTable}
+            onChange={(e) => saveTables({ seatsPerTable: Math.max(2, Math.min(12, Number(e.target.value) || 9)) })}
+          />
+        </div>
+        <label className="flex items-center gap-2 text-gray-300">
+          <input
+            type="checkbox"
+            className="w-4 h-4"
+            checked={cfg.autoSeat}
+            onChange={(e) => saveTables({ autoSeat: e.target.checked })}
+          />
+          Sortear assento na inscrição
+        </label>
+        {cfg.broken.length > 0 && (
+          <button
+            onClick={() => saveTables({ broken: [] })}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded text-white"
+          >
+            Reabrir mesas quebradas ({cfg.broken.join(', ')})
+          </button>
+        )}
+      </div>
+
+      {/* Sugestões */}
+      <TableSuggestions tournament={tournament} save={save} />
+
+      {/* Mapa das mesas */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {openTables(tournament).map(n => (
+          <div key={n} className="bg-gray-900 p-4 rounded-lg">
+            <div className="flex items-center justify-between mb-3">
+              <div className="text-white font-bold text-lg">Mesa {n}</div>
+              <div className="text-sm text-gray-400">{occupancy[n].length}/{cfg.seatsPerTable}</div>
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+              {Array.from({ length: cfg.seatsPerTable }, (_, i) => i + 1).map(seat => {
+                const p = occupancy[n].find(x => x.seat === seat);
+                return (
+                  <div key={seat} className={`p-2 rounded text-sm ${p ? 'bg-green-900 text-white' : 'bg-black text-gray-600'}`}>
+                    <div className="text-xs text-gray-400">Assento {seat}</div>
+                    <div className="truncate">{p ? p.name : 'livre'}</div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Cartões de assento */}
+      <div className="bg-gray-900 p-4 rounded-lg">
+        <div className="text-gray-300 font-semibold mb-3">Cartões de Assento</div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          {seated.map(p => <SeatCard key={p.id} tournament={tournament} player={p} />)}
+        </div>
+      </div>
+
+      {/* Na impressão só os cartões aparecem: o painel fica com print:hidden */}
+      {createPortal(
+        <div className="hidden print:block bg-white p-4">
+          <div className="grid grid-cols-3 gap-3">
+            {seated.map(p => <SeatCard key={p.id} tournament={tournament} player={p} />)}
+          </div>
+        </div>,
+        document.body
+      )}
+    </div>
+  );
+};
+
+export default TablesManager;
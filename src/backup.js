@@ -0,0 +1,201 @@
+import { normalizeTournament, validateTournament, validateLeague, validateProfile, validateBlindTemplate } from './schema';
+import { migrateStore } from './store';
+
+/*
+  backup.js
+  - Backup em JSON versionado: um torneio ou todos os dados (torneios, ligas, cadastro, modelos de blinds)
+  - Migrações sobem documentos antigos para a versão atual antes da validação
+  - Importação mesclando ou substituindo, com detecção de conflitos de id
+  - Os backups levam também os logos da TV enviados do computador (images: [{ id, dataUrl }])
+*/
+
+export const BACKUP_FORMAT = 'poker-tournament-backup';
+export const BACKUP_VERSION = 2;
+
+export const COLLECTIONS = ['tournaments', 'leagues', 'profiles', 'templates'];
+
+export const collectionLabels = {
+  tournaments: 'Torneio',
+  leagues: 'Liga',
+  profiles: 'Jogador',
+  templates: 'Estrutura de blinds',
+};
+
+const validators = {
+  tournaments: validateTournament,
+  leagues: validateLeague,
+  profiles: validateProfile,
+  templates: validateBlindTemplate,
+};
+
+// Cada migração recebe o documento da versão N e devolve o da versão N + 1
+const migrations = {
+  // v1: conteúdo cru de poker_tournaments_v1 (lista de torneios), sem ligas nem cadastro
+  1: (doc) => ({
+    format: BACKUP_FORMAT,
+    version: 2,
+    scope: 'store',
+    exportedAt: null,
+    data: migrateStore({ tournaments: Array.isArray(doc) ? doc : doc.tournaments || [], leagues: [], profiles: [], templates: [] }, 1),
+  }),
+};
+
+export const createBackup = ({ tournaments = [], leagues = [], profiles = [], templates = [] }, scope = 'store', images = []) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  scope,
+  exportedAt: new Date().toISOString(),
+  data: { tournaments, leagues, profiles, templates },
+  images,
+});
+
+const validateImage = (image, path) => {
+  if (!image || typeof image !== 'object') return [`${path}: registro inválido`];
+  const errors = [];
+  if (typeof image.id !== 'string' || !image.id) errors.push(`${path}: id ausente`);
+  if (typeof image.dataUrl !== 'string' || !image.dataUrl.startsWith('data:image/')) errors.push(`${path}: imagem inválida`);
+  return errors;
+};
+
+// Um torneio leva junto os cadastros dos seus jogadores (e os logos da TV, se vierem)
+export const createTournamentBackup = (tournament, profiles = [], images = []) => {
+  const ids = new Set(tournament.players.map(p => p.profileId).filter(Boolean));
+  return createBackup({ tournaments: [tournament], profiles: profiles.filter(p => ids.has(p.id)) }, 'tournament', images);
+};
+
+export const downloadBackup = (doc, filename) => {
+  const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${filename.replace(/[^a-z0-9]/gi, '_')}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+const detectVersion = (doc) => {
+  if (Array.isArray(doc)) return 1;
+  if (doc && typeof doc === 'object' && doc.format === BACKUP_FORMAT) return doc.version;
+  return null;
+};
+
+// Lê o texto do arquivo: { doc, errors }. doc só vem quando não há erros.
+export const parseBackup = (text) => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    return { doc: null, errors: ['O arquivo não é um JSON válido'] };
+  }
+
+  let version = detectVersion(doc);
+  if (version == null) return { doc: null, errors: ['O arquivo não é um backup do gerenciador de torneios'] };
+  if (version > BACKUP_VERSION) {
+    return { doc: null, errors: [`Backup da versão ${version}, mais nova que a suportada (${BACKUP_VERSION}). Atualize o aplicativo.`] };
+  }
+  while (version < BACKUP_VERSION) {
+    if (!migrations[version]) return { doc: null, errors: [`Não há migração para a versão ${version}`] };
+    doc = migrations[version](doc);
+    version = doc.version;
+  }
+
+  const errors = [];
+  if (!doc.data || typeof doc.data !== 'object') {
+    errors.push('Backup sem dados');
+  } else {
+    // Campos ausentes ou com tipo errado recebem os padrões antes da validação
+    if (Array.isArray(doc.data.tournaments)) doc.data.tournaments = doc.data.tournaments.map(normalizeTournament);
+    COLLECTIONS.forEach(key => {
+      const list = doc.data[key] ?? [];
+      if (!Array.isArray(list)) {
+        errors.push(`${collectionLabels[key]}: lista inválida`);
+        return;
+      }
+      list.forEach((item, i) => errors.push(...validators[key](item, `${collectionLabels[key]} ${i + 1}`)));
+    });
+    if (doc.images != null && !Array.isArray(doc.images)) {
+      errors.push('Imagens: lista inválida');
+    } else {
+      (doc.images || []).forEach((image, i) => errors.push(...validateImage(image, `Imagem ${i + 1}`)));
+    }
+  }
+  if (errors.length) return { doc: null, errors };
+
+  COLLECTIONS.forEach(key => { doc.data[key] = doc.data[key] ?? []; });
+  doc.images = doc.images ?? [];
+  return { doc, errors: [] };
+};
+
+const conflictKey = (kind, id) => `${kind}:${id}`;
+
+// Itens do backup cujo id já existe com conteúdo diferente
+export const findConflicts = (current, incoming) => {
+  const conflicts = [];
+  COLLECTIONS.forEach(kind => {
+    incoming[kind].forEach(item => {
+      const existing = current[kind].find(x => x.id === item.id);
+      if (existing && JSON.stringify(existing) !== JSON.stringify(item)) {
+        conflicts.push({ key: conflictKey(kind, item.id), kind, id: item.id, incomingName: item.name, currentName: existing.name });
+      }
+    });
+  });
+  return conflicts;
+};
+
+export const CONFLICT_RESOLUTIONS = ['keep', 'overwrite', 'copy'];
+
+export const resolutionLabels = {
+  keep: 'Manter o atual',
+  overwrite: 'Substituir pelo do backup',
+  copy: 'Importar como cópia',
+};
+
+const newId = (id) => `${id}_${Date.now().toString(36)}`;
+
+// Aplica o backup ao estado atual.
+// mode 'replace' troca tudo; 'merge' adiciona e resolve conflitos (padrão: manter o atual).
+export const applyImport = (current, incoming, mode = 'merge', resolutions = {}) => {
+  if (mode === 'replace') {
+    return { tournaments: incoming.tournaments, leagues: incoming.leagues, profiles: incoming.profiles, templates: incoming.templates };
+  }
+
+  // Cópias ganham id novo; referências dentro do próprio backup acompanham
+  const remap = { tournaments: {}, profiles: {}, leagues: {}, templates: {} };
+  COLLECTIONS.forEach(kind => {
+    incoming[kind].forEach(item => {
+      if (resolutions[conflictKey(kind, item.id)] === 'copy' && current[kind].some(x => x.id === item.id)) {
+        remap[kind][item.id] = newId(item.id);
+      }
+    });
+  });
+
+  const prepared = {
+    tournaments: incoming.tournaments.map(t => ({
+      ...t,
+      ...(remap.tournaments[t.id] ? { id: remap.tournaments[t.id], name: `${t.name} (cópia)` } : {}),
+      players: t.players.map(p => (remap.profiles[p.profileId] ? { ...p, profileId: remap.profiles[p.profileId] } : p)),
+    })),
+    leagues: incoming.leagues.map(l => ({
+      ...l,
+      ...(remap.leagues[l.id] ? { id: remap.leagues[l.id], name: `${l.name} (cópia)` } : {}),
+      tournamentIds: l.tournamentIds.map(id => remap.tournaments[id] || id),
+    })),
+    profiles: incoming.profiles.map(p => (remap.profiles[p.id] ? { ...p, id: remap.profiles[p.id], name: `${p.name} (cópia)` } : p)),
+    templates: incoming.templates.map(t => (remap.templates[t.id] ? { ...t, id: remap.templates[t.id], name: `${t.name} (cópia)` } : t)),
+  };
+
+  const result = {};
+  COLLECTIONS.forEach(kind => {
+    const list = [...current[kind]];
+    prepared[kind].forEach(item => {
+      const index = list.findIndex(x => x.id === item.id);
+      if (index < 0) {
+        list.push(item);
+      } else if (resolutions[conflictKey(kind, item.id)] === 'overwrite') {
+        list[index] = item;
+      }
+    });
+    result[kind] = list;
+  });
+  return result;
+};
@@ -0,0 +1,275 @@
+import { getSmallestChip } from './chips';
+
+/*
+  blinds.js
+  - Gerador de estrutura a partir do stack inicial, duração prevista e número de jogadores
+  - Crescimento geométrico dos blinds arredondado para valores "redondos" pagáveis com a menor ficha
+  - Intervalos não contam como nível e levam o número do nível anterior
+  - Validação da estrutura (ordem, small x big, fichas, ante) e análise em big blinds e horário previsto
+*/
+
+export const ANTE_MODES = ['none', 'classic', 'bigBlind'];
+
+export const anteModeLabels = {
+  none: 'Sem ante',
+  classic: 'Ante clássico (~12% do BB)',
+  bigBlind: 'Big blind ante',
+};
+
+// Média de big blinds de cada um dos dois últimos jogadores no fim do tempo previsto
+const FINAL_STACK_BB = 10;
+// Big blinds no stack inicial
+const STARTING_STACK_BB = 100;
+// Limites do aumento por nível: abaixo disso o torneio se arrasta, acima fica injogável
+const MIN_GROWTH = 1.1;
+const MAX_GROWTH = 1.6;
+const CLASSIC_ANTE_RATIO = 0.125;
+// Acima disso a validação avisa que o big blind mais que dobrou de um nível para o outro
+const MAX_LEVEL_JUMP = 2;
+// Teto de níveis gerados (sem ele, duração longa com níveis de 1 minuto trava a tela)
+const MAX_GENERATED_LEVELS = 60;
+
+// Faixas aceitas pelo gerador (o formulário usa as mesmas)
+export const GENERATOR_LIMITS = {
+  startingStack: { min: 1, max: 10000000 },
+  targetMinutes: { min: 10, max: 1440 },
+  levelDuration: { min: 1, max: 180 },
+  players: { min: 2, max: 10000 },
+  smallestChip: { min: 1, max: 100000 },
+  breakEvery: { min: 0, max: 20 },
+  breakDuration: { min: 1, max: 120 },
+  anteFromLevel: { min: 1, max: MAX_GENERATED_LEVELS },
+  extraLevels: { min: 0, max: 20 },
+};
+
+export const defaultGeneratorOptions = (tournament) => ({
+  startingStack: tournament.buyInChips || 10000,
+  targetMinutes: 240,
+  levelDuration: tournament.levelDuration || 20,
+  players: Math.max(tournament.players?.length || 0, 20),
+  smallestChip: getSmallestChip(tournament),
+  breakEvery: 4,
+  breakDuration: 10,
+  anteMode: 'classic',
+  anteFromLevel: 4,
+  extraLevels: 2,
+});
+
+// Recalcula o número dos níveis: intervalos ficam com o número do último nível jogado
+export const numberLevels = (blinds) => {
+  let level = 0;
+  return blinds.map(b => {
+    if (!b.isBreak) level += 1;
+    return b.level === level ? b : { ...b, level };
+  });
+};
+
+const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+export const clampGeneratorOptions = (options) => {
+  const out = { ...options };
+  Object.entries(GENERATOR_LIMITS).forEach(([key, { min, max }]) => {
+    out[key] = clamp(Math.round(Number(options[key]) || min), min, max);
+  });
+  return out;
+};
+
+const MANTISSAS = [1, 1.2, 1.5, 2, 2.5, 3, 4, 5, 6, 8];
+
+// Valor redondo mais próximo (1, 1.2, 1.5, 2, 2.5, 3, 4, 5, 6, 8 × 10^n), múltiplo de step
+export const roundBlind = (value, step) => {
+  if (value <= step) return step;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const candidates = [...MANTISSAS.map(m => m * magnitude), 10 * magnitude]
+    .map(c => Math.max(step, Math.round(c / step) * step));
+  return candidates.reduce((best, c) => (Math.abs(c - value) < Math.abs(best - value) ? c : best));
+};
+
+// Próximo valor redondo acima de value (múltiplo de step)
+const nextBlind = (value, step) => {
+  for (let magnitude = 10 ** Math.floor(Math.log10(Math.max(value, step))); ; magnitude *= 10) {
+    const candidate = [...MANTISSAS, 10]
+      .map(m => Math.max(step, Math.round((m * magnitude) / step) * step))
+      .find(c => c > value);
+    if (candidate) return candidate;
+  }
+};
+
+const computeAnte = (bigBlind, mode, step) => {
+  if (mode === 'bigBlind') return bigBlind;
+  if (mode === 'classic') return roundBlind(bigBlind * CLASSIC_ANTE_RATIO, step);
+  return 0;
+};
+
+// Maior valor redondo acima de previous que não passa de limit (ou o primeiro acima, se nenhum cabe)
+const cappedBlind = (previous, limit, step) => {
+  let best = nextBlind(previous, step);
+  for (let candidate = nextBlind(best, step); candidate <= limit; candidate = nextBlind(candidate, step)) best = candidate;
+  return best;
+};
+
+// Quantos níveis cabem no tempo previsto, descontando os intervalos
+export const countLevels = (options) => {
+  const { targetMinutes, levelDuration, breakEvery, breakDuration } = clampGeneratorOptions(options);
+  let levels = 1;
+  const total = (n) => n * levelDuration + (breakEvery > 0 ? Math.floor((n - 1) / breakEvery) * breakDuration : 0);
+  while (levels < MAX_GENERATED_LEVELS && total(levels + 1) <= targetMinutes) levels += 1;
+  return levels;
+};
+
+export const generateBlinds = (rawOptions) => {
+  const options = clampGeneratorOptions(rawOptions);
+  const {
+    startingStack,
+    players,
+    smallestChip,
+    levelDuration,
+    breakEvery,
+    breakDuration,
+    anteMode,
+    anteFromLevel,
+    extraLevels,
+  } = options;
+  // SB = BB / 2 também precisa ser múltiplo da menor ficha
+  const step = Math.max(1, smallestChip) * 2;
+  const plannedLevels = countLevels(options);
+  const totalLevels = plannedLevels + Math.max(0, extraLevels);
+
+  const startBB = roundBlind(startingStack / STARTING_STACK_BB, step);
+  const finalBB = (startingStack * Math.max(2, players)) / (2 * FINAL_STACK_BB);
+  const growth = plannedLevels > 1
+    ? clamp((finalBB / startBB) ** (1 / (plannedLevels - 1)), MIN_GROWTH, MAX_GROWTH)
+    : MIN_GROWTH;
+
+  const blinds = [];
+  let target = startBB;
+  let previous = 0;
+  for (let i = 0; i < totalLevels; i += 1) {
+    let bigBlind = roundBlind(target, step);
+    if (bigBlind <= previous) bigBlind = nextBlind(previous, step);
+    // O arredondamento pode passar do aumento máximo (ex.: 6000 → 10000); fica no maior valor redondo permitido
+    if (previous && bigBlind > previous * MAX_GROWTH) bigBlind = cappedBlind(previous, previous * MAX_GROWTH, step);
+    const level = i + 1;
+    blinds.push({
+      level,
+      smallBlind: bigBlind / 2,
+      bigBlind,
+      ante: anteMode !== 'none' && level >= anteFromLevel ? computeAnte(bigBlind, anteMode, smallestChip) : 0,
+      isBreak: false,
+      duration: levelDuration,
+    });
+    if (breakEvery > 0 && level % breakEvery === 0 && i < totalLevels - 1) {
+      blinds.push({
+        level,
+        smallBlind: 0,
+        bigBlind: 0,
+        ante: 0,
+        isBreak: true,
+        breakDuration,
+        duration: breakDuration,
+      });
+    }
+    previous = bigBlind;
+    target *= growth;
+  }
+  return blinds;
+};
+
+export const levelMinutes = (blind, levelDuration) => (
+  blind.duration || (blind.isBreak ? blind.breakDuration : levelDuration) || levelDuration
+);
+
+export const structureMinutes = (blinds, levelDuration) => blinds.reduce((total, b) => total + levelMinutes(b, levelDuration), 0);
+
+// Problemas da estrutura: [{ index, severity: 'error' | 'warning', message }]
+// chipAt(index): menor ficha em jogo naquele nível
+export const validateStructure = (blinds, { chipAt = () => 1 } = {}) => {
+  const issues = [];
+  const add = (index, severity, message) => issues.push({ index, severity, message });
+  const expected = numberLevels(blinds);
+  let previous = null;
+
+  blinds.forEach((b, index) => {
+    if (b.level !== expected[index].level) add(index, 'warning', `Numeração fora de ordem (deveria ser ${expected[index].level})`);
+    if (b.isBreak) {
+      if (!previous) add(index, 'warning', 'Intervalo antes do primeiro nível');
+      else if (blinds[index - 1]?.isBreak) add(index, 'warning', 'Dois intervalos seguidos');
+      return;
+    }
+
+    const ante = b.ante || 0;
+    if (b.smallBlind <= 0 || b.bigBlind <= 0) add(index, 'error', 'Small e big blind precisam ser maiores que zero');
+    else if (b.smallBlind > b.bigBlind) add(index, 'error', 'Small blind maior que o big blind');
+
+    if (previous) {
+      const lower = b.bigBlind < previous.bigBlind || (b.bigBlind === previous.bigBlind && b.smallBlind < previous.smallBlind);
+      const same = b.bigBlind === previous.bigBlind && b.smallBlind === previous.smallBlind && ante <= (previous.ante || 0);
+      if (lower) add(index, 'error', `Blinds menores que as do nível ${previous.level}`);
+      else if (same) add(index, 'warning', `Mesmas blinds do nível ${previous.level}`);
+      else if (previous.bigBlind > 0 && b.bigBlind > previous.bigBlind * MAX_LEVEL_JUMP) {
+        add(index, 'warning', `Big blind ${(b.bigBlind / previous.bigBlind).toFixed(1)}× o do nível ${previous.level}`);
+      }
+    }
+
+    const smallestChip = chipAt(index);
+    const unpayable = [['small blind', b.smallBlind], ['big blind', b.bigBlind], ['ante', ante]]
+      .filter(([, value]) => value % smallestChip !== 0)
+      .map(([name]) => name);
+    if (unpayable.length) add(index, 'warning', `${unpayable.join(', ')} não fecha com a menor ficha (${smallestChip})`);
+
+    if (ante > b.bigBlind) {
+      add(index, 'error', 'Ante maior que o big blind');
+    } else if (ante > 0 && ante !== b.bigBlind) {
+      const ratio = ante / b.bigBlind;
+      if (ratio < 0.05 || ratio > 0.25) {
+        add(index, 'warning', `Ante de ${Math.round(ratio * 100)}% do big blind (o comum é 10–25%, ou igual ao big blind)`);
+      }
+    }
+    previous = b;
+  });
+  return issues;
+};
+
+// Stack em big blinds nível a nível e o momento em que o torneio deve acabar:
+// quando o big blind alcança as fichas em jogo divididas por 2 × FINAL_STACK_BB
+export const analyzeStructure = (tournament, { entries, remaining }) => {
+  const totalChips = entries * tournament.buyInChips;
+  const finishBigBlind = totalChips / (2 * FINAL_STACK_BB);
+  const rows = [];
+  let startsAt = 0;
+  let finishAt = null;
+  tournament.blinds.forEach((b, index) => {
+    if (!b.isBreak && b.bigBlind > 0) {
+      rows.push({
+        index,
+        level: b.level,
+        smallBlind: b.smallBlind,
+        bigBlind: b.bigBlind,
+        ante: b.ante || 0,
+        startsAt,
+        startingStackBB: tournament.buyInChips / b.bigBlind,
+        averageStackBB: totalChips / Math.max(1, remaining) / b.bigBlind,
+      });
+      if (finishAt == null && b.bigBlind >= finishBigBlind) finishAt = startsAt;
+    }
+    startsAt += levelMinutes(b, tournament.levelDuration);
+  });
+  return { rows, totalChips, totalMinutes: startsAt, finishAt };
+};
+
+// Minutos de torneio já jogados até a posição atual do relógio
+export const elapsedMinutes = (tournament, elapsedMs) => (
+  structureMinutes(tournament.blinds.slice(0, tournament.currentLevelIndex), tournament.levelDuration) + elapsedMs / 60000
+);
+
+// Próximo nível de jogo depois da posição atual, pulando intervalos; null no último nível
+export const getNextLevel = (tournament, index = tournament.currentLevelIndex) => {
+  const start = tournament.blinds[index]?.isBreak ? index : index + 1;
+  return tournament.blinds.slice(start).find(b => !b.isBreak) || null;
+};
+
+// Índice do próximo intervalo depois da posição atual; null se não houver mais
+export const getNextBreakIndex = (tournament, index = tournament.currentLevelIndex) => {
+  const offset = tournament.blinds.slice(index + 1).findIndex(b => b.isBreak);
+  return offset >= 0 ? index + 1 + offset : null;
+};
@@ -0,0 +1,125 @@
+import { getLateRegistration, isLateEntry } from './registration';
+import { isLocked } from './lifecycle';
+
+/*
+  bounty.js
+  - Formato bounty: parte do buy-in vira a "cabeça" de cada jogador
+  - Bounty fixo: quem elimina recebe a cabeça inteira
+  - Knockout progressivo (PKO): metade em dinheiro, metade soma na cabeça de quem eliminou
+  - Ajuste de bounty para inscrições tardias
+*/
+
+export const BOUNTY_MODES = {
+  FIXED: 'fixed',
+  PROGRESSIVE: 'progressive',
+};
+
+export const bountyModeLabels = {
+  fixed: 'Bounty fixo',
+  progressive: 'Knockout progressivo (PKO)',
+};
+
+export const defaultBounty = {
+  enabled: false,
+  mode: BOUNTY_MODES.PROGRESSIVE,
+  amount: 50, // parte de cada buy-in/rebuy (R$) que vai para a cabeça
+};
+
+export const getBounty = (tournament) => ({ ...defaultBounty, ...tournament.bounty });
+
+export const isBountyEnabled = (tournament) => getBounty(tournament).enabled;
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// Cabeça de uma nova inscrição, com o ajuste da inscrição tardia
+export const getEntryBounty = (tournament) => {
+  const bounty = getBounty(tournament);
+  if (!bounty.enabled) return 0;
+  const late = getLateRegistration(tournament);
+  if (late.lateBountyEnabled && isLateEntry(tournament)) {
+    return round2(bounty.amount * late.lateBountyPercent / 100);
+  }
+  return bounty.amount;
+};
+
+// Rebuys e re-entries compram a cabeça inteira; o ajuste vale só para inscrições tardias
+export const getRebuyBounty = (tournament) => {
+  const bounty = getBounty(tournament);
+  return bounty.enabled ? bounty.amount : 0;
+};
+
+// Soma uma compra de bounty à cabeça do jogador (o resto do valor fica no prize pool)
+export const buyBounty = (player, value) => (value > 0
+  ? { ...player, bounty: round2((player.bounty || 0) + value), bountyIn: round2((player.bountyIn || 0) + value) }
+  : player);
+
+// Eliminações sofridas pelo jogador, da mais antiga para a mais recente
+// (torneios antigos guardavam só a última, em `knockout`)
+export const getKnockouts = (player) => player.knockouts || (player.knockout ? [player.knockout] : []);
+
+const withKnockouts = ({ knockout, ...player }, knockouts) => ({ ...player, knockouts });
+
+// busts: [{ id, eliminatorId }] — transfere as cabeças antes da eliminação
+export const collectBounties = (tournament, players, busts) => {
+  if (!isBountyEnabled(tournament)) return players;
+  const { mode } = getBounty(tournament);
+  let result = players;
+
+  busts.forEach(({ id, eliminatorId }) => {
+    const busted = result.find(p => p.id === id);
+    if (!busted?.active || !eliminatorId || eliminatorId === id) return;
+    const head = busted.bounty || 0;
+    const cash = mode === BOUNTY_MODES.PROGRESSIVE ? round2(head / 2) : head;
+    const headGain = round2(head - cash);
+
+    result = result.map(p => {
+      if (p.id === id) {
+        return { ...withKnockouts(p, [...getKnockouts(p), { by: eliminatorId, cash, headGain }]), bounty: 0 };
+      }
+      if (p.id === eliminatorId) {
+        return { ...p, bountyWinnings: round2((p.bountyWinnings || 0) + cash), bounty: round2((p.bounty || 0) + headGain) };
+      }
+      return p;
+    });
+  });
+  return result;
+};
+
+// Desfaz a transferência de bounty da última eliminação ao reintegrar um jogador
+export const revertKnockout = (players, id) => {
+  const busted = players.find(p => p.id === id);
+  const knockouts = busted ? getKnockouts(busted) : [];
+  if (!knockouts.length) return players;
+  const { by, cash, headGain } = knockouts[knockouts.length - 1];
+
+  return players.map(p => {
+    if (p.id === id) {
+      return { ...withKnockouts(p, knockouts.slice(0, -1)), bounty: round2((p.bounty || 0) + cash + headGain) };
+    }
+    if (p.id === by) {
+      return {
+        ...p,
+        bountyWinnings: Math.max(0, round2((p.bountyWinnings || 0) - cash)),
+        bounty: Math.max(0, round2((p.bounty || 0) - headGain)),
+      };
+    }
+    return p;
+  });
+};
+
+export const countKnockouts = (players, id) => players
+  .reduce((s, p) => s + getKnockouts(p).filter(k => k.by === id).length, 0);
+
+// Ganhos de bounty; o campeão leva a própria cabeça ao fim do torneio
+export const getBountyWinnings = (tournament, player) => {
+  const own = isLocked(tournament) && player.position === 1 ? player.bounty || 0 : 0;
+  return round2((player.bountyWinnings || 0) + own);
+};
+
+export const calculateBountyPool = (tournament) => (isBountyEnabled(tournament)
+  ? round2(tournament.players.reduce((s, p) => s + (p.bountyIn || 0), 0))
+  : 0);
+
+export const calculateBountyPaid = (tournament) => (isBountyEnabled(tournament)
+  ? round2(tournament.players.reduce((s, p) => s + getBountyWinnings(tournament, p), 0))
+  : 0);
@@ -0,0 +1,141 @@
+import { countTransactions } from './finance';
+
+/*
+  chips.js
+  - Estojo de fichas: valor, cor e quantidade de cada denominação
+  - Composição de cada stack (buy-in, rebuy, addon, extra chip, time chip) com as fichas disponíveis
+  - Consumo do estojo pelos jogadores inscritos, com aviso quando faltam fichas
+  - Plano de troca (color-up): cada denominação sai no primeiro intervalo a partir do qual
+    nenhum blind ou ante precisa mais dela
+*/
+
+export const defaultChipSet = {
+  denominations: [
+    { value: 25, color: '#f3f4f6', label: 'Branca', count: 200 },
+    { value: 100, color: '#dc2626', label: 'Vermelha', count: 200 },
+    { value: 500, color: '#16a34a', label: 'Verde', count: 100 },
+    { value: 1000, color: '#111827', label: 'Preta', count: 100 },
+    { value: 5000, color: '#7c3aed', label: 'Roxa', count: 50 },
+  ],
+};
+
+export const STACK_TYPES = ['buyIn', 'rebuy', 'addon', 'extraChip', 'timeChip'];
+
+export const stackLabels = {
+  buyIn: 'Buy-in',
+  rebuy: 'Rebuy',
+  addon: 'Addon',
+  extraChip: 'Extra chip',
+  timeChip: 'Time chip',
+};
+
+export const getChipSet = (tournament) => ({ ...defaultChipSet, ...(tournament.chipSet || {}) });
+
+// Denominações do estojo em ordem crescente
+export const getDenominations = (tournament) => getChipSet(tournament).denominations
+  .filter(d => d.value > 0)
+  .slice()
+  .sort((a, b) => a.value - b.value);
+
+export const getSmallestChip = (tournament) => getDenominations(tournament).find(d => d.count > 0)?.value ?? 1;
+
+export const stackAmount = (tournament, type) => ({
+  buyIn: tournament.buyInChips,
+  rebuy: tournament.rebuyChips,
+  addon: tournament.addonChips,
+  extraChip: tournament.extraChipAmount,
+  timeChip: tournament.timeChipValue,
+}[type] || 0);
+
+// Quantas vezes cada stack foi entregue até agora
+export const countStacks = (tournament) => {
+  const counts = { buyIn: 0, rebuy: 0, addon: 0, extraChip: 0, timeChip: 0 };
+  tournament.players.forEach(p => {
+    const t = countTransactions(p);
+    counts.buyIn += t.buyIn;
+    counts.rebuy += t.rebuy;
+    counts.addon += t.addon;
+    counts.extraChip += t.extraChip;
+    if (p.hasTimeChip) counts.timeChip += 1;
+  });
+  return counts;
+};
+
+// Composição de um stack: algumas fichas de cada valor para troco, o resto nas maiores.
+// remainder > 0 quando o valor não fecha com as fichas do estojo.
+export const stackBreakdown = (amount, denominations) => {
+  const usable = denominations.filter(d => d.value <= amount);
+  const quantities = usable.map(() => 0);
+  let remaining = amount;
+
+  // Troco: fichas pequenas suficientes para formar duas da denominação seguinte
+  for (let i = 0; i < usable.length - 1; i += 1) {
+    const wanted = Math.ceil((usable[i + 1].value * 2) / usable[i].value);
+    const quantity = Math.min(wanted, Math.floor(remaining / usable[i].value));
+    quantities[i] += quantity;
+    remaining -= quantity * usable[i].value;
+  }
+  for (let i = usable.length - 1; i >= 0; i -= 1) {
+    const quantity = Math.floor(remaining / usable[i].value);
+    quantities[i] += quantity;
+    remaining -= quantity * usable[i].value;
+  }
+
+  return {
+    chips: usable.map((d, i) => ({ ...d, quantity: quantities[i] })).filter(c => c.quantity > 0),
+    remainder: remaining,
+  };
+};
+
+// Fichas de cada denominação já entregues aos jogadores contra o que o estojo tem
+export const inventoryUsage = (tournament) => {
+  const denominations = getDenominations(tournament);
+  const counts = countStacks(tournament);
+  const needed = Object.fromEntries(denominations.map(d => [d.value, 0]));
+  STACK_TYPES.forEach(type => {
+    if (!counts[type]) return;
+    stackBreakdown(stackAmount(tournament, type), denominations).chips.forEach(c => {
+      needed[c.value] += c.quantity * counts[type];
+    });
+  });
+  return denominations.map(d => ({ ...d, needed: needed[d.value], shortage: Math.max(0, needed[d.value] - d.count) }));
+};
+
+// Quantos buy-ins completos o estojo comporta
+export const stackCapacity = (tournament) => {
+  const denominations = getDenominations(tournament);
+  const { chips } = stackBreakdown(tournament.buyInChips, denominations);
+  if (!chips.length) return 0;
+  return Math.min(...chips.map(c => Math.floor(c.count / c.quantity)));
+};
+
+const isPayableWith = (blind, value) => [blind.smallBlind, blind.bigBlind, blind.ante || 0].every(v => v % value === 0);
+
+// Trocas planejadas: [{ value, label, color, nextValue, breakIndex, level }]
+export const planColorUps = (tournament) => {
+  const denominations = getDenominations(tournament).filter(d => d.count > 0);
+  const blinds = tournament.blinds;
+  const plan = [];
+  let from = 0;
+  for (let i = 0; i < denominations.length - 1; i += 1) {
+    const next = denominations[i + 1];
+    // Primeiro intervalo (a partir da troca anterior) depois do qual tudo se paga sem esta ficha
+    const breakIndex = blinds.findIndex((b, index) => index >= from
+      && b.isBreak
+      && blinds.slice(index + 1).every(l => l.isBreak || isPayableWith(l, next.value)));
+    if (breakIndex < 0) break;
+    plan.push({ ...denominations[i], nextValue: next.value, breakIndex, level: blinds[breakIndex].level });
+    from = breakIndex;
+  }
+  return plan;
+};
+
+export const colorUpsAt = (tournament, index = tournament.currentLevelIndex) => (
+  planColorUps(tournament).filter(c => c.breakIndex === index)
+);
+
+// Menor ficha ainda em jogo em um nível, depois das trocas dos intervalos anteriores
+export const smallestChipAt = (tournament, index) => {
+  const removed = new Set(planColorUps(tournament).filter(c => c.breakIndex < index).map(c => c.value));
+  return getDenominations(tournament).find(d => d.count > 0 && !removed.has(d.value))?.value ?? 1;
+};
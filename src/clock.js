@@ -0,0 +1,119 @@
+import { useEffect, useState } from 'react';
+
+/*
+  clock.js
+  - Relógio do torneio baseado em horário real (Date.now)
+  - O tempo restante é sempre derivado de levelStartedAt + levelElapsedMs,
+    então sobrevive a recarregar a página, abas em segundo plano e suspensão
+*/
+
+// Duração do nível em segundos
+export const getLevelDuration = (tournament, index = tournament.currentLevelIndex) => {
+  const blind = tournament.blinds[index];
+  return (blind?.duration || (blind?.isBreak ? blind.breakDuration : tournament.levelDuration) || tournament.levelDuration) * 60;
+};
+
+// Tempo já decorrido no nível atual, em ms
+export const getElapsedMs = (tournament, now = Date.now()) => {
+  let elapsed = tournament.levelElapsedMs;
+  if (elapsed == null) {
+    // Torneios salvos antes do relógio por horário guardavam só o timeLeft
+    elapsed = tournament.timeLeft != null ? Math.max(0, getLevelDuration(tournament) - tournament.timeLeft) * 1000 : 0;
+  }
+  if (tournament.isRunning && tournament.levelStartedAt) {
+    elapsed += Math.max(0, now - tournament.levelStartedAt);
+  }
+  return elapsed;
+};
+
+// Tempo restante do nível atual, em segundos inteiros
+export const getTimeLeft = (tournament, now = Date.now()) => {
+  const remaining = getLevelDuration(tournament) * 1000 - getElapsedMs(tournament, now);
+  return Math.max(0, Math.ceil(remaining / 1000));
+};
+
+// Segundos até o início do nível `index`, a partir da posição atual do relógio (0 se já passou)
+export const getTimeUntilLevel = (tournament, index, now = Date.now()) => {
+  if (index <= tournament.currentLevelIndex) return 0;
+  let total = getTimeLeft(tournament, now);
+  for (let i = tournament.currentLevelIndex + 1; i < index; i++) {
+    total += getLevelDuration(tournament, i);
+  }
+  return total;
+};
+
+export const startClock = (tournament, now = Date.now()) => ({
+  isRunning: true,
+  levelStartedAt: now,
+  levelElapsedMs: getElapsedMs({ ...tournament, isRunning: false }, now),
+});
+
+export const pauseClock = (tournament, now = Date.now()) => ({
+  isRunning: false,
+  levelStartedAt: null,
+  levelElapsedMs: getElapsedMs(tournament, now),
+});
+
+export const setClockLevel = (tournament, index, now = Date.now()) => ({
+  currentLevelIndex: Math.max(0, Math.min(tournament.blinds.length - 1, index)),
+  levelElapsedMs: 0,
+  levelStartedAt: tournament.isRunning ? now : null,
+});
+
+export const resetClock = () => ({
+  isRunning: false,
+  currentLevelIndex: 0,
+  levelElapsedMs: 0,
+  levelStartedAt: null,
+});
+
+// Avança os níveis vencidos, carregando o tempo excedente para o próximo.
+// Retorna null quando nada mudou.
+export const advanceClock = (tournament, now = Date.now()) => {
+  if (!tournament.isRunning || !tournament.blinds.length) return null;
+
+  let index = tournament.currentLevelIndex;
+  let elapsed = getElapsedMs(tournament, now);
+  let duration = getLevelDuration(tournament, index) * 1000;
+  if (elapsed < duration) return null;
+
+  while (elapsed >= duration && index < tournament.blinds.length - 1) {
+    elapsed -= duration;
+    index += 1;
+    duration = getLevelDuration(tournament, index) * 1000;
+  }
+
+  // Último nível encerrado: o relógio para zerado
+  if (elapsed >= duration) {
+    return { currentLevelIndex: index, isRunning: false, levelStartedAt: null, levelElapsedMs: duration };
+  }
+  return { currentLevelIndex: index, levelElapsedMs: 0, levelStartedAt: now - elapsed };
+};
+
+export const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+};
+
+// Durações longas (ex.: até o fim das inscrições) com horas: 1:05:00
+export const formatDuration = (seconds) => {
+  if (seconds < 3600) return formatTime(seconds);
+  const hours = Math.floor(seconds / 3600);
+  return `${hours}:${formatTime(seconds % 3600)}`;
+};
+
+// Horário de parede previsto daqui a `seconds` (ex.: 21:40)
+export const formatClockAt = (seconds, now = Date.now()) => (
+  new Date(now + seconds * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+);
+
+// Horário atual, atualizado periodicamente para re-renderizar o relógio
+export const useNow = (interval = 250) => {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(id);
+  }, [interval]);
+  return now;
+};
@@ -0,0 +1,87 @@
+import { useEffect, useState } from 'react';
+import { TAB_ID } from './storage';
+
+/*
+  editLocks.js
+  - Uma aba por vez edita cada torneio; as outras ficam somente leitura
+  - A trava fica no localStorage com prazo de validade e é renovada enquanto a aba está aberta
+  - Aba fechada ou travada sem renovar libera o torneio sozinha quando o prazo vence
+  - Abas em segundo plano têm os timers atrasados pelo navegador (até ~1 por minuto): o prazo é
+    longo, a trava é renovada ao voltar o foco e de novo antes de cada gravação
+*/
+
+export const LOCK_TTL = 120000;
+export const LOCK_RENEW_INTERVAL = 5000;
+
+const lockKey = (id) => `poker_edit_lock_${id}`;
+
+export const readLock = (id) => {
+  try {
+    return JSON.parse(localStorage.getItem(lockKey(id)));
+  } catch (e) {
+    return null;
+  }
+};
+
+export const isHeldByOtherTab = (id, now = Date.now()) => {
+  const lock = readLock(id);
+  return !!lock && lock.tabId !== TAB_ID && lock.expiresAt > now;
+};
+
+// force: assume a edição mesmo que outra aba tenha a trava
+export const acquireLock = (id, force = false, now = Date.now()) => {
+  if (!force && isHeldByOtherTab(id, now)) return false;
+  localStorage.setItem(lockKey(id), JSON.stringify({ tabId: TAB_ID, expiresAt: now + LOCK_TTL }));
+  return true;
+};
+
+// Renova a trava desta aba antes de gravar; não toma a trava se outra aba assumiu
+export const renewLock = (id, now = Date.now()) => {
+  if (readLock(id)?.tabId === TAB_ID) acquireLock(id, false, now);
+};
+
+export const releaseLock = (id) => {
+  if (readLock(id)?.tabId === TAB_ID) localStorage.removeItem(lockKey(id));
+};
+
+// Trava o torneio aberto nesta aba enquanto ele estiver selecionado
+export const useEditLock = (id) => {
+  const [heldByOther, setHeldByOther] = useState(false);
+
+  useEffect(() => {
+    if (!id) {
+      setHeldByOther(false);
+      return undefined;
+    }
+    const refresh = () => {
+      acquireLock(id);
+      setHeldByOther(isHeldByOtherTab(id));
+    };
+    const onStorage = (e) => {
+      if (e.key === lockKey(id)) refresh();
+    };
+    const onUnload = () => releaseLock(id);
+
+    refresh();
+    const interval = setInterval(refresh, LOCK_RENEW_INTERVAL);
+    window.addEventListener('storage', onStorage);
+    window.addEventListener('beforeunload', onUnload);
+    document.addEventListener('visibilitychange', refresh);
+    window.addEventListener('focus', refresh);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', refresh);
+      window.removeEventListener('focus', refresh);
+      window.removeEventListener('storage', onStorage);
+      window.removeEventListener('beforeunload', onUnload);
+      releaseLock(id);
+    };
+  }, [id]);
+
+  const takeOver = () => {
+    acquireLock(id, true);
+    setHeldByOther(false);
+  };
+
+  return { heldByOther, takeOver };
+};
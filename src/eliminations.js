@@ -0,0 +1,64 @@
+/*
+  eliminations.js
+  - Eliminação de um ou mais jogadores na mesma mão
+  - Empate decidido pelo stack inicial da mão ou lugar compartilhado
+  - Reintegração e rebuy/re-entry de jogador eliminado, renumerando as posições
+*/
+
+export const TIE_MODES = {
+  STACK: 'stack',
+  SHARED: 'shared',
+};
+
+const countActive = (players) => players.filter(p => p.active).length;
+
+// busts: [{ id, startingStack }]
+export const eliminatePlayers = (players, busts, tieMode = TIE_MODES.STACK, now = Date.now()) => {
+  const ids = new Set(busts.map(b => b.id));
+  const busting = busts.filter(b => players.find(p => p.id === b.id)?.active);
+  const bestPlace = countActive(players) - busting.length + 1;
+
+  const positions = new Map();
+  if (tieMode === TIE_MODES.SHARED) {
+    busting.forEach(b => positions.set(b.id, bestPlace));
+  } else {
+    // Quem começou a mão com mais fichas fica com a melhor posição;
+    // stacks iguais dividem o lugar
+    const sorted = [...busting].sort((a, b) => b.startingStack - a.startingStack);
+    sorted.forEach(b => {
+      const tiedWith = sorted.findIndex(x => x.startingStack === b.startingStack);
+      positions.set(b.id, bestPlace + tiedWith);
+    });
+  }
+
+  return players.map(p => (ids.has(p.id) && p.active
+    ? { ...p, active: false, position: positions.get(p.id), chips: 0, chipsBeforeElimination: p.chips, eliminatedAt: now }
+    : p));
+};
+
+// Volta o jogador ao torneio; quem caiu depois dele sobe uma posição no número
+export const reinstatePlayer = (players, id) => {
+  const player = players.find(p => p.id === id);
+  if (!player || player.active) return players;
+  const place = player.position;
+
+  return players.map(p => {
+    if (p.id === id) {
+      return { ...p, active: true, position: null, chips: p.chipsBeforeElimination ?? p.chips, eliminatedAt: null };
+    }
+    if (!p.active && place != null && p.position != null && p.position <= place) {
+      return { ...p, position: p.position + 1 };
+    }
+    return p;
+  });
+};
+
+// Rebuy normal ou re-entry a partir do estado eliminado
+export const rebuyPlayer = (players, id, rebuyChips) => {
+  const player = players.find(p => p.id === id);
+  if (!player) return players;
+  const base = player.active ? players : reinstatePlayer(players, id);
+  return base.map(p => (p.id === id
+    ? { ...p, rebuys: p.rebuys + 1, actions: p.actions + 1, chips: (player.active ? p.chips : 0) + rebuyChips, chipsBeforeElimination: null }
+    : p));
+};
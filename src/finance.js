@@ -0,0 +1,93 @@
+import { calculateBountyPool, calculateBountyPaid } from './bounty';
+
+/*
+  finance.js
+  - Contabilidade única do torneio, usada por todas as telas
+  - Taxa separada por tipo de transação (buy-in, rebuy, add-on, extra chip)
+  - Taxa fixa de dealer/staff, prize pool garantido com overlay
+  - Parte do buy-in reservada para bounties fica fora do prize pool
+  - Resumo do caixa: arrecadado x pago
+*/
+
+export const TRANSACTION_TYPES = ['buyIn', 'rebuy', 'addon', 'extraChip'];
+
+export const transactionLabels = {
+  buyIn: 'Buy-in',
+  rebuy: 'Rebuy',
+  addon: 'Add-on',
+  extraChip: 'Extra Chip',
+};
+
+export const defaultFeeRules = { buyIn: 10, rebuy: 10, addon: 0, extraChip: 0 };
+
+// Torneios antigos tinham só adminFeePercent, aplicado em buy-in e rebuy
+export const getFeeRules = (tournament) => tournament.feeRules || {
+  ...defaultFeeRules,
+  buyIn: tournament.adminFeePercent ?? defaultFeeRules.buyIn,
+  rebuy: tournament.adminFeePercent ?? defaultFeeRules.rebuy,
+};
+
+const unitValue = (tournament, type) => ({
+  buyIn: tournament.buyInValue,
+  rebuy: tournament.rebuyValue,
+  addon: tournament.addonValue,
+  extraChip: tournament.extraChipValue,
+}[type] || 0);
+
+export const countTransactions = (player) => ({
+  buyIn: Math.max(0, player.actions - player.rebuys),
+  rebuy: player.rebuys,
+  addon: player.addons,
+  extraChip: player.hasExtraChip ? 1 : 0,
+});
+
+// Total pago por um jogador
+export const playerInvestment = (tournament, player) => {
+  const counts = countTransactions(player);
+  return TRANSACTION_TYPES.reduce((s, type) => s + counts[type] * unitValue(tournament, type), 0);
+};
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+export const calculateFinance = (tournament) => {
+  const feeRules = getFeeRules(tournament);
+  const counts = {};
+  const collected = {};
+  const fees = {};
+
+  TRANSACTION_TYPES.forEach(type => {
+    counts[type] = tournament.players.reduce((s, p) => s + countTransactions(p)[type], 0);
+    collected[type] = counts[type] * unitValue(tournament, type);
+    fees[type] = round2(collected[type] * (feeRules[type] || 0) / 100);
+  });
+  collected.total = TRANSACTION_TYPES.reduce((s, type) => s + collected[type], 0);
+  fees.total = round2(TRANSACTION_TYPES.reduce((s, type) => s + fees[type], 0));
+
+  const staffFee = counts.buyIn > 0 ? tournament.staffFee || 0 : 0;
+  const bountyPool = calculateBountyPool(tournament);
+  const bountyPaid = calculateBountyPaid(tournament);
+  const netPrizePool = Math.max(0, round2(collected.total - fees.total - staffFee - bountyPool));
+  const guarantee = tournament.guaranteedPrizePool || 0;
+  const overlay = Math.max(0, round2(guarantee - netPrizePool));
+  const prizePool = netPrizePool + overlay;
+  const paidOut = round2(tournament.players.reduce((s, p) => s + (p.prize || 0), 0));
+
+  return {
+    counts,
+    collected,
+    fees,
+    staffFee,
+    netPrizePool,
+    guarantee,
+    overlay,
+    prizePool,
+    paidOut,
+    bountyPool,
+    bountyPaid,
+    // Caixa: o que entrou menos o que saiu em prêmios, bounties e staff
+    cashBalance: round2(collected.total - paidOut - bountyPaid - staffFee),
+    houseResult: round2(fees.total - overlay),
+  };
+};
+
+export const calculatePrizePool = (tournament) => calculateFinance(tournament).prizePool;
@@ -0,0 +1,309 @@
+/*
+  history.js
+  - Log de auditoria de cada alteração do torneio
+  - Cada evento guarda data/hora, nível e os valores antes/depois
+  - Desfazer/refazer em vários passos; o relógio não volta junto (segue o horário real)
+  - Campos ausentes ficam como null no evento (o JSON descarta undefined) e são apagados ao voltar
+*/
+
+const MAX_EVENTS = 1000;
+// Alterações seguidas do mesmo tipo (ex.: digitação) viram um único evento
+const COALESCE_MS = 2000;
+const COALESCE_TYPES = ['player.update', 'player.chips', 'blinds.update', 'payouts.update', 'tournament.update', 'tv.layout'];
+
+// Eventos do relógio ficam no log, mas não entram no desfazer
+const isUndoable = (type) => !type.startsWith('clock.');
+
+// Campos do relógio registrados junto com outras mudanças (ex.: encerramento pausa o relógio)
+const CLOCK_KEYS = ['isRunning', 'levelStartedAt', 'levelElapsedMs'];
+
+export const eventLabels = {
+  'player.add': 'Jogador adicionado',
+  'player.lateOverride': 'Inscrição após o fechamento (liberada)',
+  'player.remove': 'Jogador removido',
+  'player.update': 'Jogador alterado',
+  'player.link': 'Jogadores vinculados ao cadastro',
+  'player.chips': 'Fichas alteradas',
+  'player.rebuy': 'Rebuy',
+  'player.rebuyOverride': 'Rebuy fora da regra (liberado)',
+  'player.addon': 'Addon',
+  'player.addonOverride': 'Addon fora da regra (liberado)',
+  'player.extraChip': 'Extra chip',
+  'player.eliminate': 'Eliminação',
+  'player.reinstate': 'Jogador reintegrado',
+  'clock.start': 'Relógio iniciado',
+  'clock.pause': 'Relógio pausado',
+  'clock.reset': 'Relógio reiniciado',
+  'clock.level': 'Nível alterado',
+  'status.change': 'Mudança de estado',
+  'deal.apply': 'Acordo aplicado',
+  'deal.undo': 'Acordo desfeito',
+  'tables.update': 'Configuração das mesas alterada',
+  'tables.draw': 'Sorteio de assentos',
+  'tables.balance': 'Mesas balanceadas',
+  'tables.break': 'Mesa quebrada',
+  'blinds.update': 'Estrutura de blinds alterada',
+  'blinds.generate': 'Estrutura de blinds gerada',
+  'blinds.template': 'Modelo de estrutura aplicado',
+  'chips.update': 'Estojo de fichas alterado',
+  'tv.layout': 'Layout da TV alterado',
+  'payouts.update': 'Premiação alterada',
+  'scoring.update': 'Pontuação alterada',
+  'tournament.update': 'Configuração alterada',
+  'history.undo': 'Desfeito',
+  'history.redo': 'Refeito',
+};
+
+const emptyHistory = () => ({ events: [], undoStack: [], redoStack: [] });
+
+export const getHistory = (tournament) => tournament.history || emptyHistory();
+
+const uid = () => `ev_${Date.now()}${Math.floor(Math.random() * 9999)}`;
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const stored = (v) => (v === undefined ? null : v);
+
+// null no evento = campo que não existia
+const applyValues = (record, values) => {
+  const result = { ...record };
+  Object.entries(values).forEach(([k, v]) => {
+    if (v === null) delete result[k];
+    else result[k] = v;
+  });
+  return result;
+};
+
+const diffPlayers = (prev = [], next = []) => {
+  const changes = [];
+  const nextById = new Map(next.map(p => [p.id, p]));
+  const prevById = new Map(prev.map(p => [p.id, p]));
+
+  prev.forEach((p, index) => {
+    const n = nextById.get(p.id);
+    if (!n) {
+      changes.push({ id: p.id, index, before: p, after: null });
+      return;
+    }
+    if (n === p) return;
+    const before = {};
+    const after = {};
+    new Set([...Object.keys(p), ...Object.keys(n)]).forEach(k => {
+      if (!same(p[k], n[k])) {
+        before[k] = stored(p[k]);
+        after[k] = stored(n[k]);
+      }
+    });
+    if (Object.keys(after).length) changes.push({ id: p.id, before, after });
+  });
+  next.forEach((n, index) => {
+    if (!prevById.has(n.id)) changes.push({ id: n.id, index, before: null, after: n });
+  });
+  return changes;
+};
+
+// Diferença entre duas versões do torneio (sem o próprio histórico)
+export const diffTournament = (prev, next) => {
+  const before = {};
+  const after = {};
+  new Set([...Object.keys(prev), ...Object.keys(next)]).forEach(k => {
+    if (k === 'history' || k === 'players') return;
+    if (!same(prev[k], next[k])) {
+      before[k] = stored(prev[k]);
+      after[k] = stored(next[k]);
+    }
+  });
+  const players = prev.players === next.players ? [] : diffPlayers(prev.players, next.players);
+  return { before, after, players };
+};
+
+const isEmptyDiff = (diff) => !Object.keys(diff.after).length && !diff.players.length;
+
+const inferType = (diff) => {
+  if (diff.players.length === 1) {
+    if (diff.players[0].before === null) return 'player.add';
+    if (diff.players[0].after === null) return 'player.remove';
+    return 'player.update';
+  }
+  if ('status' in diff.after) return 'status.change';
+  if ('blinds' in diff.after) return 'blinds.update';
+  if ('payouts' in diff.after) return 'payouts.update';
+  return 'tournament.update';
+};
+
+const mergePlayerChanges = (older, newer) => {
+  const merged = older.map(c => ({ ...c }));
+  newer.forEach(c => {
+    const existing = merged.find(m => m.id === c.id);
+    if (!existing) {
+      merged.push(c);
+    } else if (existing.before && existing.after && c.before && c.after) {
+      existing.before = { ...c.before, ...existing.before };
+      existing.after = { ...existing.after, ...c.after };
+    } else {
+      existing.after = c.after;
+    }
+  });
+  return merged;
+};
+
+// Registra a transição prev -> next como um evento tipado
+export const recordEvent = (prev, next, type, note, now = Date.now()) => {
+  const diff = diffTournament(prev, next);
+  if (isEmptyDiff(diff)) return next;
+
+  const history = getHistory(prev);
+  const event = {
+    id: uid(),
+    type: type || inferType(diff),
+    at: now,
+    level: prev.blinds[prev.currentLevelIndex]?.level ?? null,
+    playerId: diff.players.length === 1 ? diff.players[0].id : null,
+    ...(note ? { note } : {}),
+    ...diff,
+  };
+
+  const last = history.events[history.events.length - 1];
+  const canCoalesce = last
+    && last.id === history.undoStack[history.undoStack.length - 1]
+    && last.type === event.type
+    && last.playerId === event.playerId
+    && now - last.at < COALESCE_MS
+    && COALESCE_TYPES.includes(event.type);
+
+  if (canCoalesce) {
+    const merged = {
+      ...last,
+      at: now,
+      before: { ...event.before, ...last.before },
+      after: { ...last.after, ...event.after },
+      players: mergePlayerChanges(last.players, event.players),
+    };
+    return {
+      ...next,
+      history: { ...history, events: [...history.events.slice(0, -1), merged], redoStack: [] },
+    };
+  }
+
+  if (!isUndoable(event.type)) {
+    return { ...next, history: { ...history, events: [...history.events, event].slice(-MAX_EVENTS) } };
+  }
+
+  return {
+    ...next,
+    history: {
+      events: [...history.events, event].slice(-MAX_EVENTS),
+      undoStack: [...history.undoStack, event.id].slice(-MAX_EVENTS),
+      redoStack: [],
+    },
+  };
+};
+
+const applyPlayers = (players, changes, direction) => {
+  let result = [...players];
+  const ordered = direction === 'undo' ? [...changes].reverse() : changes;
+  ordered.forEach(c => {
+    const from = direction === 'undo' ? c.after : c.before;
+    const to = direction === 'undo' ? c.before : c.after;
+    if (to === null) {
+      result = result.filter(p => p.id !== c.id);
+    } else if (from === null) {
+      const index = Math.min(c.index ?? result.length, result.length);
+      result.splice(index, 0, to);
+    } else {
+      result = result.map(p => (p.id === c.id ? applyValues(p, to) : p));
+    }
+  });
+  return result;
+};
+
+const applyEvent = (tournament, event, direction) => {
+  const values = { ...(direction === 'undo' ? event.before : event.after) };
+  CLOCK_KEYS.forEach(k => { delete values[k]; });
+  return {
+    ...applyValues(tournament, values),
+    players: applyPlayers(tournament.players, event.players, direction),
+  };
+};
+
+export const canUndo = (tournament) => getHistory(tournament).undoStack.length > 0;
+export const canRedo = (tournament) => getHistory(tournament).redoStack.length > 0;
+
+const step = (tournament, direction, now) => {
+  const history = getHistory(tournament);
+  const from = direction === 'undo' ? history.undoStack : history.redoStack;
+  const id = from[from.length - 1];
+  const event = history.events.find(e => e.id === id);
+  if (!id) return tournament;
+  if (!event) {
+    // Evento antigo já descartado do log: apenas remove da pilha
+    const key = direction === 'undo' ? 'undoStack' : 'redoStack';
+    return { ...tournament, history: { ...history, [key]: from.slice(0, -1) } };
+  }
+
+  const marker = {
+    id: uid(),
+    type: `history.${direction}`,
+    at: now,
+    level: tournament.blinds[tournament.currentLevelIndex]?.level ?? null,
+    playerId: event.playerId,
+    ref: event.id,
+    before: {},
+    after: {},
+    players: [],
+  };
+  const undoStack = direction === 'undo' ? history.undoStack.slice(0, -1) : [...history.undoStack, id];
+  const redoStack = direction === 'undo' ? [...history.redoStack, id] : history.redoStack.slice(0, -1);
+
+  return {
+    ...applyEvent(tournament, event, direction),
+    history: { events: [...history.events, marker].slice(-MAX_EVENTS), undoStack, redoStack },
+  };
+};
+
+export const undo = (tournament, now = Date.now()) => step(tournament, 'undo', now);
+export const redo = (tournament, now = Date.now()) => step(tournament, 'redo', now);
+
+const formatValue = (v) => {
+  if (v === null || v === undefined) return '-';
+  if (typeof v === 'object') return Array.isArray(v) ? `[${v.length}]` : '{…}';
+  return String(v);
+};
+
+// Resumo legível de um evento: "Nome: chips 10000 → 20000"
+export const describeEvent = (event, tournament) => {
+  if (event.ref) {
+    const ref = getHistory(tournament).events.find(e => e.id === event.ref);
+    return ref ? `${eventLabels[ref.type] || ref.type} (${new Date(ref.at).toLocaleTimeString()})` : '';
+  }
+  const parts = Object.keys(event.after)
+    .filter(k => !['levelStartedAt', 'levelElapsedMs'].includes(k))
+    .map(k => `${k}: ${formatValue(event.before[k])} → ${formatValue(event.after[k])}`);
+  event.players.forEach(c => {
+    const name = (c.after || c.before)?.name
+      || tournament.players.find(p => p.id === c.id)?.name
+      || c.id;
+    if (c.before === null) parts.push(`${name} adicionado`);
+    else if (c.after === null) parts.push(`${name} removido`);
+    else {
+      const fields = Object.keys(c.after)
+        .map(k => `${k} ${formatValue(c.before[k])} → ${formatValue(c.after[k])}`)
+        .join(', ');
+      parts.push(`${name}: ${fields}`);
+    }
+  });
+  if (event.note) parts.unshift(event.note);
+  return parts.join(' • ');
+};
+
+export const historyToCSV = (tournament) => {
+  const escape = (v) => `"${String(v).replace(/"/g, '""')}"`;
+  const rows = getHistory(tournament).events.map(e => [
+    new Date(e.at).toISOString(),
+    e.level ?? '',
+    e.type,
+    escape(eventLabels[e.type] || e.type),
+    escape(describeEvent(e, tournament)),
+  ].join(','));
+  return ['at,level,type,label,details', ...rows].join('\n');
+};
@@ -0,0 +1,61 @@
+/*
+  icm.js
+  - Equidade ICM (Malmuth-Harville)
+  - Chip chop
+  - Acordo híbrido: reserva um valor para o 1º lugar e divide o resto
+*/
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// O cálculo percorre todos os subconjuntos de jogadores (2^n); acima disso fica lento demais
+// e a máscara de bits passaria dos 32 bits
+export const MAX_ICM_PLAYERS = 10;
+
+// Equidade de cada stack para os prêmios informados (índice 0 = 1º lugar)
+export const calculateICM = (stacks, prizes) => {
+  const n = stacks.length;
+  if (n > MAX_ICM_PLAYERS) throw new Error(`ICM calculado para no máximo ${MAX_ICM_PLAYERS} jogadores`);
+  const memo = new Map();
+
+  const equity = (mask) => {
+    if (memo.has(mask)) return memo.get(mask);
+    const result = new Array(n).fill(0);
+    const remaining = [];
+    for (let i = 0; i < n; i++) if (mask & (1 << i)) remaining.push(i);
+    const place = n - remaining.length;
+    const prize = prizes[place] || 0;
+    const chips = remaining.reduce((s, i) => s + stacks[i], 0);
+
+    if (remaining.length > 0 && chips > 0 && place < prizes.length) {
+      for (const i of remaining) {
+        const pFirst = stacks[i] / chips;
+        if (pFirst === 0) continue;
+        result[i] += pFirst * prize;
+        const sub = equity(mask & ~(1 << i));
+        for (let j = 0; j < n; j++) result[j] += pFirst * sub[j];
+      }
+    }
+    memo.set(mask, result);
+    return result;
+  };
+
+  return equity((1 << n) - 1).map(round2);
+};
+
+// Todos garantem o menor prêmio em disputa; o resto é dividido por fichas
+export const calculateChipChop = (stacks, prizes) => {
+  const n = stacks.length;
+  const paid = prizes.slice(0, n);
+  const total = paid.reduce((s, v) => s + v, 0);
+  const floor = paid.length === n ? paid[n - 1] : 0;
+  const chips = stacks.reduce((s, v) => s + v, 0);
+  const rest = total - floor * n;
+  return stacks.map(s => round2(floor + (chips > 0 ? rest * s / chips : rest / n)));
+};
+
+// Reserva `saved` do 1º prêmio (jogado até o fim) e divide o restante
+export const calculateSaveForFirst = (stacks, prizes, saved, method = 'icm') => {
+  const reserve = Math.max(0, Math.min(saved, prizes[0] || 0));
+  const reduced = prizes.map((p, i) => (i === 0 ? p - reserve : p));
+  return method === 'chipchop' ? calculateChipChop(stacks, reduced) : calculateICM(stacks, reduced);
+};
@@ -0,0 +1,141 @@
+import { getScoring, calculatePoints, scoringVars } from './scoring';
+
+/*
+  league.js
+  - Liga/temporada: agrupa torneios como etapas e soma os pontos de cada jogador
+  - Jogadores são identificados entre torneios pelo cadastro ou pelo nome normalizado;
+    inscrições sem vínculo com o mesmo nome (ou apelido) de um cadastro contam para ele
+  - Descarte dos N piores resultados e critérios de desempate configuráveis
+  - Pontuação da liga ou, sem ela, a de cada etapa
+*/
+
+export const TIE_BREAKERS = ['wins', 'bestFinish', 'cashes', 'stagesPlayed', 'grossPoints'];
+
+export const tieBreakerLabels = {
+  wins: 'Mais vitórias',
+  bestFinish: 'Melhor colocação',
+  cashes: 'Mais premiações',
+  stagesPlayed: 'Mais etapas jogadas',
+  grossPoints: 'Mais pontos sem descarte',
+};
+
+export const defaultLeague = {
+  tournamentIds: [],
+  dropWorst: 0,
+  tieBreakers: ['wins', 'bestFinish', 'cashes'],
+  scoring: null, // null = cada etapa usa a própria pontuação
+};
+
+export const createLeague = (name = 'Nova Liga') => ({
+  id: `lg_${Date.now()}${Math.floor(Math.random() * 9999)}`,
+  name,
+  ...defaultLeague,
+  createdAt: Date.now(),
+});
+
+export const normalizeName = (name = '') => name
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .replace(/\s+/g, ' ')
+  .toLowerCase();
+
+// Nome normalizado -> id do cadastro; o nome vence o apelido, como em findProfileByName
+export const profileIdsByName = (profiles = []) => {
+  const index = new Map();
+  profiles.forEach(p => { if (p.nickname && normalizeName(p.nickname)) index.set(normalizeName(p.nickname), p.id); });
+  profiles.forEach(p => { if (normalizeName(p.name)) index.set(normalizeName(p.name), p.id); });
+  return index;
+};
+
+// Identidade do jogador entre torneios (o id de cada torneio é só um Date.now())
+export const playerKey = (player, profileIds = new Map()) => {
+  const profileId = player.profileId || profileIds.get(normalizeName(player.name));
+  return profileId ? `profile:${profileId}` : `name:${normalizeName(player.name)}`;
+};
+
+// Pontos de cada jogador em um torneio
+export const tournamentScores = (tournament, scoring = getScoring(tournament), profileIds = new Map()) => tournament.players.map(p => {
+  const vars = scoringVars(tournament, p);
+  return {
+    key: playerKey(p, profileIds),
+    name: p.name,
+    position: vars.position,
+    actions: p.actions,
+    prize: p.prize || 0,
+    points: calculatePoints(scoring, vars),
+  };
+});
+
+const compareBy = {
+  wins: (a, b) => b.wins - a.wins,
+  bestFinish: (a, b) => (a.bestFinish ?? Infinity) - (b.bestFinish ?? Infinity),
+  cashes: (a, b) => b.cashes - a.cashes,
+  stagesPlayed: (a, b) => b.stagesPlayed - a.stagesPlayed,
+  grossPoints: (a, b) => b.grossPoints - a.grossPoints,
+};
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// Classificação da temporada. Etapas não jogadas valem 0 e também podem ser descartadas.
+export const calculateLeagueStandings = (league, tournaments, profiles = []) => {
+  const stages = league.tournamentIds
+    .map(id => tournaments.find(t => t.id === id))
+    .filter(Boolean);
+  const profileIds = profileIdsByName(profiles);
+
+  const rows = new Map();
+  stages.forEach((t, stageIndex) => {
+    tournamentScores(t, league.scoring || getScoring(t), profileIds).forEach(s => {
+      if (!rows.has(s.key)) {
+        rows.set(s.key, { key: s.key, name: s.name, results: stages.map(() => null) });
+      }
+      const row = rows.get(s.key);
+      // Mesmo jogador duas vezes na etapa (nomes repetidos): vale o melhor resultado
+      const current = row.results[stageIndex];
+      if (!current || s.points > current.points) row.results[stageIndex] = s;
+    });
+  });
+
+  const dropCount = Math.max(0, Math.min(league.dropWorst || 0, stages.length - 1));
+  const standings = [...rows.values()].map(row => {
+    const points = row.results.map(r => (r ? r.points : 0));
+    // Índices das etapas descartadas (menores pontuações)
+    const dropped = new Set(
+      points
+        .map((value, i) => ({ value, i }))
+        .sort((a, b) => a.value - b.value || a.i - b.i)
+        .slice(0, dropCount)
+        .map(x => x.i)
+    );
+    const played = row.results.filter(Boolean);
+    return {
+      ...row,
+      dropped,
+      total: round2(points.reduce((s, v, i) => (dropped.has(i) ? s : s + v), 0)),
+      grossPoints: round2(points.reduce((s, v) => s + v, 0)),
+      wins: played.filter(r => r.position === 1).length,
+      bestFinish: played.length ? Math.min(...played.map(r => r.position)) : null,
+      cashes: played.filter(r => r.prize > 0).length,
+      stagesPlayed: played.length,
+    };
+  });
+
+  const tieBreakers = (league.tieBreakers || []).filter(tb => compareBy[tb]);
+  const compare = (a, b) => {
+    if (b.total !== a.total) return b.total - a.total;
+    for (const tb of tieBreakers) {
+      const diff = compareBy[tb](a, b);
+      if (diff) return diff;
+    }
+    return 0;
+  };
+
+  standings.sort((a, b) => compare(a, b) || a.name.localeCompare(b.name));
+  // Empate em todos os critérios divide a colocação
+  standings.forEach((row, i) => {
+    row.rank = i > 0 && compare(standings[i - 1], row) === 0 ? standings[i - 1].rank : i + 1;
+  });
+
+  return { stages, standings };
+};
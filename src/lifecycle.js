@@ -0,0 +1,114 @@
+import { pauseClock } from './clock';
+
+/*
+  lifecycle.js
+  - Estados do torneio: inscrições, em andamento, intervalo, mesa final,
+    encerrado e arquivado
+  - Transições permitidas e encerramento automático com 1 jogador ativo
+  - Reiniciar o relógio volta para inscrições; encerrar exige no máximo 1 jogador ativo
+*/
+
+export const STATUS = {
+  REGISTRATION: 'registration',
+  RUNNING: 'running',
+  BREAK: 'break',
+  FINAL_TABLE: 'final_table',
+  FINISHED: 'finished',
+  ARCHIVED: 'archived',
+};
+
+export const statusLabels = {
+  registration: 'Inscrições',
+  running: 'Em andamento',
+  break: 'Intervalo',
+  final_table: 'Mesa Final',
+  finished: 'Encerrado',
+  archived: 'Arquivado',
+};
+
+const transitions = {
+  registration: ['running', 'break', 'final_table', 'finished'],
+  running: ['registration', 'break', 'final_table', 'finished'],
+  break: ['registration', 'running', 'final_table', 'finished'],
+  final_table: ['registration', 'running', 'break', 'finished'],
+  finished: ['archived'],
+  archived: ['finished'],
+};
+
+export const getStatus = (tournament) => tournament.status || (tournament.isRunning ? STATUS.RUNNING : STATUS.REGISTRATION);
+
+export const canTransition = (from, to) => from === to || (transitions[from] || []).includes(to);
+
+// Torneios encerrados ou arquivados não aceitam mais alterações nos resultados
+export const isLocked = (tournament) => [STATUS.FINISHED, STATUS.ARCHIVED].includes(getStatus(tournament));
+
+// Campos que ainda podem ser alterados com o torneio travado
+// (a pontuação não muda os resultados, só como eles contam no ranking; o layout da TV é só aparência)
+const unlockedKeys = ['status', 'name', 'finishedAt', 'archivedAt', 'scoring', 'tvLayout'];
+
+// Vincular jogadores ao cadastro (profileId) também não mexe nos resultados
+const onlyLinksProfiles = (tournament, players) => Array.isArray(players)
+  && players.length === tournament.players.length
+  && players.every((p, i) => {
+    const { profileId: _a, ...rest } = p;
+    const { profileId: _b, ...before } = tournament.players[i];
+    return JSON.stringify(rest) === JSON.stringify(before);
+  });
+
+export const isAllowedWhenLocked = (patch, tournament) => Object.keys(patch).every(k => (
+  unlockedKeys.includes(k) || (k === 'players' && tournament && onlyLinksProfiles(tournament, patch.players))
+));
+
+// Patch de mudança de estado; lança erro se a transição não for permitida
+export const transition = (tournament, to, now = Date.now()) => {
+  const from = getStatus(tournament);
+  if (!canTransition(from, to)) {
+    throw new Error(`Transição inválida: ${statusLabels[from]} → ${statusLabels[to]}`);
+  }
+  if (to === STATUS.FINISHED && from !== STATUS.ARCHIVED) {
+    const active = tournament.players.filter(p => p.active).length;
+    if (active > 1) {
+      throw new Error(`Ainda há ${active} jogadores ativos. Elimine-os na ordem de saída para definir as posições antes de encerrar.`);
+    }
+  }
+  if (to === STATUS.FINISHED) return finishPatch(tournament, now);
+  if (to === STATUS.ARCHIVED) return { status: to, archivedAt: now };
+  return { status: to };
+};
+
+// Encerra o torneio: o último jogador ativo fica com o 1º lugar
+const finishPatch = (tournament, now) => {
+  if (getStatus(tournament) === STATUS.ARCHIVED) return { status: STATUS.FINISHED, archivedAt: null };
+  const active = tournament.players.filter(p => p.active);
+  const players = active.length === 1
+    ? tournament.players.map(p => (p.id === active[0].id ? { ...p, position: 1 } : p))
+    : tournament.players;
+  return {
+    ...(tournament.isRunning ? pauseClock(tournament, now) : {}),
+    players,
+    status: STATUS.FINISHED,
+    finishedAt: now,
+  };
+};
+
+// Estado automático a partir do relógio e dos jogadores restantes
+export const applyLifecycle = (tournament, now = Date.now()) => {
+  const from = getStatus(tournament);
+  if (isLocked(tournament)) return tournament;
+  if (from === STATUS.REGISTRATION && !tournament.isRunning) return tournament;
+
+  const active = tournament.players.filter(p => p.active);
+  let to;
+  if (tournament.players.length > 1 && active.length <= 1) {
+    to = STATUS.FINISHED;
+  } else if (tournament.blinds[tournament.currentLevelIndex]?.isBreak) {
+    to = STATUS.BREAK;
+  } else if (active.length <= (tournament.finalTableSize || 9)) {
+    to = STATUS.FINAL_TABLE;
+  } else {
+    to = STATUS.RUNNING;
+  }
+
+  if (to === from || !canTransition(from, to)) return tournament;
+  return { ...tournament, ...transition(tournament, to, now) };
+};
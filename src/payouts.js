@@ -0,0 +1,111 @@
+import { calculatePrizePool } from './finance';
+
+/*
+  payouts.js
+  - Tabelas de premiação por número de entradas
+  - Lugares com valor fixo
+  - Arredondamento para R$ 5 / R$ 10
+*/
+
+export const defaultPayoutConfig = {
+  // Cada tabela vale até `maxEntries` entradas (null = sem limite)
+  tables: [
+    { maxEntries: 10, percentages: [50, 30, 20] },
+    { maxEntries: 20, percentages: [40, 25, 17, 11, 7] },
+    { maxEntries: 40, percentages: [35, 22, 15, 11, 8, 5, 4] },
+    { maxEntries: null, percentages: [30, 20, 14, 10, 8, 6, 5, 4, 3] },
+  ],
+  fixedPrizes: [], // [{ place, amount }]
+  roundTo: 5,
+};
+
+export const createPayoutConfig = () => JSON.parse(JSON.stringify(defaultPayoutConfig));
+
+export const countEntries = (tournament) => tournament.players.length;
+
+export const selectPayoutTable = (config, entries) => {
+  const tables = [...config.tables].sort((a, b) => (a.maxEntries ?? Infinity) - (b.maxEntries ?? Infinity));
+  return tables.find(t => t.maxEntries == null || entries <= t.maxEntries) || tables[tables.length - 1] || { percentages: [] };
+};
+
+const roundToStep = (value, step) => (step > 0 ? Math.round(value / step) * step : Math.round(value * 100) / 100);
+
+// Retorna o valor de cada lugar pago (índice 0 = 1º lugar)
+export const calculatePayouts = (prizePool, entries, config = defaultPayoutConfig) => {
+  if (entries <= 0 || prizePool <= 0) return [];
+
+  const table = selectPayoutTable(config, entries);
+  const fixed = new Map(
+    (config.fixedPrizes || [])
+      .filter(f => f.place >= 1 && f.amount > 0)
+      .map(f => [f.place, f.amount])
+  );
+  const places = Math.min(
+    entries,
+    Math.max(table.percentages.length, ...fixed.keys(), 0)
+  );
+  if (places === 0) return [];
+
+  const fixedTotal = [...fixed].reduce((s, [place, amount]) => s + (place <= places ? amount : 0), 0);
+  const remaining = Math.max(0, prizePool - fixedTotal);
+
+  const percentPlaces = [];
+  for (let place = 1; place <= places; place++) {
+    if (!fixed.has(place)) percentPlaces.push(place);
+  }
+  const percentTotal = percentPlaces.reduce((s, place) => s + (table.percentages[place - 1] || 0), 0);
+
+  const payouts = [];
+  for (let place = 1; place <= places; place++) {
+    if (fixed.has(place)) {
+      payouts.push(fixed.get(place));
+    } else {
+      const pct = table.percentages[place - 1] || 0;
+      payouts.push(percentTotal > 0 ? roundToStep(remaining * pct / percentTotal, config.roundTo) : 0);
+    }
+  }
+
+  // A diferença do arredondamento vai para o melhor lugar percentual
+  if (percentPlaces.length && percentTotal > 0) {
+    const distributed = percentPlaces.reduce((s, place) => s + payouts[place - 1], 0);
+    const first = percentPlaces[0] - 1;
+    payouts[first] = Math.round((payouts[first] + remaining - distributed) * 100) / 100;
+  }
+
+  return payouts;
+};
+
+export const getTournamentPayouts = (tournament) => calculatePayouts(
+  calculatePrizePool(tournament),
+  countEntries(tournament),
+  tournament.payouts || defaultPayoutConfig
+);
+
+// Escreve o prêmio de cada jogador a partir da posição final.
+// Jogadores que fecharam acordo recebem o valor acordado (e o 1º lugar leva a reserva).
+// Jogadores empatados na mesma posição dividem os lugares que ocupam.
+export const assignPrizes = (tournament) => {
+  const payouts = getTournamentPayouts(tournament);
+  const deal = tournament.deal;
+  const tied = new Map();
+  tournament.players.forEach(p => {
+    if (p.position) tied.set(p.position, (tied.get(p.position) || 0) + 1);
+  });
+  const placePrize = (position) => {
+    const size = tied.get(position) || 1;
+    const total = payouts.slice(position - 1, position - 1 + size).reduce((s, v) => s + v, 0);
+    return Math.round(total / size * 100) / 100;
+  };
+
+  let changed = false;
+  const players = tournament.players.map(p => {
+    let prize = p.position ? placePrize(p.position) : 0;
+    if (deal && deal.amounts[p.id] != null) {
+      prize = deal.amounts[p.id] + (p.position === 1 ? deal.savedForFirst || 0 : 0);
+    }
+    if (prize === p.prize) return p;
+    changed = true;
+    return { ...p, prize };
+  });
+  return changed ? { ...tournament, players } : tournament;
+};
@@ -0,0 +1,60 @@
+import { getTimeLeft, getTimeUntilLevel } from './clock';
+import { isLocked } from './lifecycle';
+
+/*
+  registration.js
+  - Janela de inscrição tardia: fecha no fim do nível N ou no fim do 1º intervalo
+  - Contagem regressiva até o fechamento
+  - Stack reduzido e ajuste de bounty para inscrições tardias
+*/
+
+// Sem fechamento por padrão: torneios antigos não passam a fechar as inscrições sozinhos
+export const defaultLateRegistration = {
+  mode: 'none', // 'level' | 'firstBreak' | 'none'
+  closeIndex: 2,
+  reducedStackEnabled: false,
+  reducedStackFromIndex: 1,
+  reducedStackPercent: 80,
+  lateBountyEnabled: false,
+  lateBountyPercent: 50,
+};
+
+export const getLateRegistration = (tournament) => ({ ...defaultLateRegistration, ...tournament.lateRegistration });
+
+// Índice de blinds ao fim do qual as inscrições fecham (null = não fecham)
+export const getRegistrationCloseIndex = (tournament) => {
+  const late = getLateRegistration(tournament);
+  if (late.mode === 'level') return Math.min(late.closeIndex, tournament.blinds.length - 1);
+  if (late.mode === 'firstBreak') {
+    const idx = tournament.blinds.findIndex(b => b.isBreak);
+    return idx >= 0 ? idx : null;
+  }
+  return null;
+};
+
+export const isRegistrationOpen = (tournament, now = Date.now()) => {
+  if (isLocked(tournament)) return false;
+  const closeIndex = getRegistrationCloseIndex(tournament);
+  if (closeIndex === null) return true;
+  if (tournament.currentLevelIndex < closeIndex) return true;
+  return tournament.currentLevelIndex === closeIndex && getTimeLeft(tournament, now) > 0;
+};
+
+// Segundos até o fechamento das inscrições (null quando não há fechamento)
+export const getTimeUntilRegistrationClose = (tournament, now = Date.now()) => {
+  const closeIndex = getRegistrationCloseIndex(tournament);
+  if (closeIndex === null) return null;
+  if (!isRegistrationOpen(tournament, now)) return 0;
+  return getTimeUntilLevel(tournament, closeIndex + 1, now);
+};
+
+export const isLateEntry = (tournament) => tournament.currentLevelIndex > 0 || tournament.isRunning || (tournament.levelElapsedMs || 0) > 0;
+
+// Fichas iniciais de um novo jogador, considerando o stack reduzido
+export const getEntryStack = (tournament) => {
+  const late = getLateRegistration(tournament);
+  if (late.reducedStackEnabled && isLateEntry(tournament) && tournament.currentLevelIndex >= late.reducedStackFromIndex) {
+    return Math.round(tournament.buyInChips * late.reducedStackPercent / 100);
+  }
+  return tournament.buyInChips;
+};
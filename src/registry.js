@@ -0,0 +1,95 @@
+import { normalizeName } from './league';
+import { playerInvestment } from './finance';
+import { getBountyWinnings } from './bounty';
+
+/*
+  registry.js
+  - Cadastro de jogadores compartilhado entre torneios (nome, apelido, contato, observações, bloqueio)
+  - Busca para autocompletar a inscrição
+  - Estatísticas de carreira: torneios, ITM, investido x ganho, colocação média
+*/
+
+export const createProfile = ({ name, nickname = '', contact = '', notes = '' }) => ({
+  id: `pf_${Date.now()}${Math.floor(Math.random() * 9999)}`,
+  name: name.trim(),
+  nickname: nickname.trim(),
+  contact: contact.trim(),
+  notes,
+  blocked: false,
+  createdAt: Date.now(),
+});
+
+// Perfil com o mesmo nome (ou apelido), ignorando acentos e maiúsculas
+export const findProfileByName = (profiles, name) => {
+  const key = normalizeName(name);
+  if (!key) return null;
+  return profiles.find(p => normalizeName(p.name) === key)
+    || profiles.find(p => p.nickname && normalizeName(p.nickname) === key)
+    || null;
+};
+
+// Sugestões para a inscrição: nome ou apelido começando pelo texto digitado primeiro
+export const searchProfiles = (profiles, query, limit = 6) => {
+  const q = normalizeName(query);
+  if (!q) return [];
+  const score = (p) => {
+    const fields = [p.name, p.nickname].filter(Boolean).map(normalizeName);
+    if (fields.some(f => f.startsWith(q))) return 2;
+    if (fields.some(f => f.includes(q))) return 1;
+    return 0;
+  };
+  return profiles
+    .map(p => ({ p, s: score(p) }))
+    .filter(x => x.s > 0)
+    .sort((a, b) => b.s - a.s || a.p.name.localeCompare(b.p.name))
+    .slice(0, limit)
+    .map(x => x.p);
+};
+
+// Liga os jogadores antigos (sem profileId) aos perfis de mesmo nome
+export const linkPlayersToProfiles = (tournaments, profiles) => tournaments.map(t => {
+  let changed = false;
+  const players = t.players.map(p => {
+    if (p.profileId) return p;
+    const profile = findProfileByName(profiles, p.name);
+    if (!profile) return p;
+    changed = true;
+    return { ...p, profileId: profile.id };
+  });
+  return changed ? { ...t, players } : t;
+});
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+export const profileStats = (profile, tournaments) => {
+  const entries = [];
+  tournaments.forEach(t => {
+    t.players
+      .filter(p => p.profileId === profile.id)
+      .forEach(p => entries.push({ tournament: t, player: p }));
+  });
+
+  const finished = entries.filter(e => e.player.position != null);
+  const invested = entries.reduce((s, e) => s + playerInvestment(e.tournament, e.player), 0);
+  const won = entries.reduce((s, e) => s + (e.player.prize || 0) + getBountyWinnings(e.tournament, e.player), 0);
+
+  return {
+    played: entries.length,
+    itm: entries.filter(e => (e.player.prize || 0) > 0).length,
+    wins: finished.filter(e => e.player.position === 1).length,
+    invested: round2(invested),
+    won: round2(won),
+    net: round2(won - invested),
+    averageFinish: finished.length
+      ? round2(finished.reduce((s, e) => s + e.player.position, 0) / finished.length)
+      : null,
+    history: entries.map(e => ({
+      tournamentId: e.tournament.id,
+      tournamentName: e.tournament.name,
+      position: e.player.position,
+      field: e.tournament.players.length,
+      invested: playerInvestment(e.tournament, e.player),
+      won: round2((e.player.prize || 0) + getBountyWinnings(e.tournament, e.player)),
+    })),
+  };
+};
@@ -0,0 +1,76 @@
+/*
+  rules.js
+  - Regras de rebuy e add-on por torneio
+  - Período de rebuy (até o nível N ou até o 1º intervalo), limite por jogador,
+    rebuy só com stack igual ou abaixo do inicial
+  - Add-on só no intervalo escolhido e uma vez por jogador
+*/
+
+// Nada restrito por padrão: as regras só valem depois de configuradas no torneio
+export const defaultRebuyRules = {
+  rebuyPeriod: 'none', // 'firstBreak' | 'level' | 'none'
+  rebuyUntilIndex: 0,
+  maxRebuys: 0, // 0 = sem limite
+  rebuyAtOrBelowStart: false,
+  addonBreak: 'any', // 'firstBreak' | 'any' | índice do intervalo em blinds
+  addonOncePerPlayer: false,
+};
+
+export const getRules = (tournament) => ({ ...defaultRebuyRules, ...tournament.rebuyRules });
+
+export const firstBreakIndex = (tournament) => tournament.blinds.findIndex(b => b.isBreak);
+
+// Último índice de blinds em que o rebuy ainda é permitido (null = sem limite)
+export const rebuyCloseIndex = (tournament) => {
+  const rules = getRules(tournament);
+  if (rules.rebuyPeriod === 'level') return rules.rebuyUntilIndex;
+  if (rules.rebuyPeriod === 'firstBreak') {
+    const idx = firstBreakIndex(tournament);
+    return idx >= 0 ? idx : null;
+  }
+  return null;
+};
+
+const addonBreakIndex = (tournament) => {
+  const rules = getRules(tournament);
+  if (rules.addonBreak === 'any') return null;
+  if (rules.addonBreak === 'firstBreak') {
+    const idx = firstBreakIndex(tournament);
+    return idx >= 0 ? idx : null;
+  }
+  return Number(rules.addonBreak);
+};
+
+// Lista de regras violadas; vazia quando o rebuy é permitido
+export const checkRebuy = (tournament, player) => {
+  const rules = getRules(tournament);
+  const violations = [];
+  const closeIndex = rebuyCloseIndex(tournament);
+  if (closeIndex !== null && tournament.currentLevelIndex > closeIndex) {
+    violations.push('Período de rebuy encerrado');
+  }
+  if (rules.maxRebuys > 0 && player.rebuys >= rules.maxRebuys) {
+    violations.push(`Limite de ${rules.maxRebuys} rebuy(s) atingido`);
+  }
+  if (rules.rebuyAtOrBelowStart && player.active && player.chips > tournament.buyInChips) {
+    violations.push(`Stack acima do inicial (${tournament.buyInChips.toLocaleString()})`);
+  }
+  return violations;
+};
+
+export const checkAddon = (tournament, player) => {
+  const rules = getRules(tournament);
+  const violations = [];
+  const breakIndex = addonBreakIndex(tournament);
+  if (breakIndex !== null && tournament.currentLevelIndex !== breakIndex) {
+    const label = tournament.blinds[breakIndex] ? `intervalo do nível ${tournament.blinds[breakIndex].level}` : 'intervalo escolhido';
+    violations.push(`Add-on só no ${label}`);
+  }
+  if (rules.addonOncePerPlayer && player.addons >= 1) {
+    violations.push('Jogador já fez add-on');
+  }
+  if (!player.active) {
+    violations.push('Jogador eliminado');
+  }
+  return violations;
+};
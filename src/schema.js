@@ -0,0 +1,180 @@
+import { defaultFeeRules } from './finance';
+import { createPayoutConfig } from './payouts';
+import { defaultRebuyRules } from './rules';
+import { defaultLateRegistration } from './registration';
+import { defaultTables } from './tables';
+import { defaultBounty } from './bounty';
+import { defaultChipSet } from './chips';
+import { defaultTVLayout } from './tvLayout';
+import { STATUS } from './lifecycle';
+
+/*
+  schema.js
+  - Modelo de dados com valores padrão tipados para torneio, jogador e nível de blinds
+  - Normalização: campos ausentes ou com tipo errado voltam ao padrão
+  - Validação estrutural (torneios, ligas, cadastro de jogadores, modelos de blinds); cada função
+    devolve a lista de erros em português, lista vazia = válido
+*/
+
+export const defaultBlindStructure = [
+  { level: 1, smallBlind: 25, bigBlind: 50, ante: 0, duration: 10 },
+  { level: 2, smallBlind: 50, bigBlind: 100, ante: 0, duration: 10 },
+  { level: 3, smallBlind: 75, bigBlind: 150, ante: 25, duration: 10 },
+  { level: 3, smallBlind: 100, bigBlind: 200, ante: 25, duration: 10, isBreak: true, breakDuration: 10 },
+  { level: 4, smallBlind: 150, bigBlind: 300, ante: 50, duration: 10 },
+];
+
+// Campos de configuração do torneio (id, nome, jogadores e blinds ficam de fora)
+export const tournamentDefaults = () => ({
+  levelDuration: 10,
+  currentLevelIndex: 0,
+  levelElapsedMs: 0,
+  levelStartedAt: null,
+  isRunning: false,
+  status: STATUS.REGISTRATION,
+  finalTableSize: 9,
+  stageWeight: 1.0,
+  buyInValue: 100,
+  buyInChips: 10000,
+  rebuyValue: 100,
+  rebuyChips: 10000,
+  addonValue: 50,
+  addonChips: 5000,
+  chipSet: { ...defaultChipSet },
+  feeRules: { ...defaultFeeRules },
+  staffFee: 0,
+  guaranteedPrizePool: 0,
+  timeChipEnabled: false,
+  timeChipValue: 2000,
+  extraChipEnabled: false,
+  extraChipValue: 20,
+  extraChipAmount: 2000,
+  payouts: createPayoutConfig(),
+  rebuyRules: { ...defaultRebuyRules },
+  lateRegistration: { ...defaultLateRegistration },
+  tables: { ...defaultTables },
+  bounty: { ...defaultBounty },
+  tvLayout: { ...defaultTVLayout },
+});
+
+export const playerDefaults = {
+  actions: 1,
+  rebuys: 0,
+  addons: 0,
+  chips: 0,
+  position: null,
+  prize: 0,
+  active: true,
+  hasTimeChip: false,
+  hasExtraChip: false,
+  lateEntry: false,
+};
+
+export const blindLevelDefaults = {
+  ante: 0,
+  isBreak: false,
+};
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const clone = (v) => (v !== null && typeof v === 'object' ? JSON.parse(JSON.stringify(v)) : v);
+
+// Valor com o tipo do padrão; padrão null aceita qualquer valor
+const coerce = (value, fallback) => {
+  if (value === undefined) return clone(fallback);
+  if (fallback === null) return value;
+  if (typeof fallback === 'number') {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+    return Number.isFinite(n) ? n : fallback;
+  }
+  if (typeof fallback === 'boolean') return typeof value === 'boolean' ? value : fallback;
+  if (typeof fallback === 'string') return typeof value === 'string' ? value : fallback;
+  if (Array.isArray(fallback)) return Array.isArray(value) ? value : clone(fallback);
+  if (isObject(fallback)) return isObject(value) ? { ...clone(fallback), ...value } : clone(fallback);
+  return value;
+};
+
+export const applyDefaults = (record, defaults) => {
+  const out = { ...record };
+  Object.keys(defaults).forEach(key => { out[key] = coerce(record[key], defaults[key]); });
+  return out;
+};
+
+// Completa e corrige tipos; a estrutura (id, jogadores, blinds) é conferida depois por validateTournament
+export const normalizeTournament = (t) => {
+  if (!isObject(t)) return t;
+  const out = applyDefaults(t, tournamentDefaults());
+  if (Array.isArray(t.players)) out.players = t.players.map(p => (isObject(p) ? applyDefaults(p, playerDefaults) : p));
+  if (Array.isArray(t.blinds)) out.blinds = t.blinds.map(b => (isObject(b) ? applyDefaults(b, blindLevelDefaults) : b));
+  return out;
+};
+
+const isId = (v) => typeof v === 'string' || typeof v === 'number';
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+export const validatePlayer = (p, path) => {
+  if (!isObject(p)) return [`${path}: jogador inválido`];
+  const errors = [];
+  if (!isId(p.id)) errors.push(`${path}: jogador sem id`);
+  if (typeof p.name !== 'string') errors.push(`${path}: jogador sem nome`);
+  if (p.chips != null && !isNumber(p.chips)) errors.push(`${path}: fichas inválidas`);
+  return errors;
+};
+
+export const validateBlindLevel = (b, path) => {
+  if (!isObject(b)) return [`${path}: nível inválido`];
+  const errors = [];
+  ['smallBlind', 'bigBlind'].forEach(k => {
+    if (!isNumber(b[k])) errors.push(`${path}: ${k} inválido`);
+  });
+  return errors;
+};
+
+export const validateTournament = (t, path = 'torneio') => {
+  if (!isObject(t)) return [`${path}: não é um torneio`];
+  const errors = [];
+  if (!isId(t.id)) errors.push(`${path}: sem id`);
+  if (typeof t.name !== 'string') errors.push(`${path}: sem nome`);
+  if (!Array.isArray(t.players)) {
+    errors.push(`${path}: lista de jogadores ausente`);
+  } else {
+    t.players.forEach((p, i) => errors.push(...validatePlayer(p, `${path}.jogadores[${i}]`)));
+  }
+  if (!Array.isArray(t.blinds)) {
+    errors.push(`${path}: estrutura de blinds ausente`);
+  } else {
+    t.blinds.forEach((b, i) => errors.push(...validateBlindLevel(b, `${path}.blinds[${i}]`)));
+  }
+  if (t.currentLevelIndex != null && !isNumber(t.currentLevelIndex)) errors.push(`${path}: nível atual inválido`);
+  return errors;
+};
+
+export const validateLeague = (l, path = 'liga') => {
+  if (!isObject(l)) return [`${path}: não é uma liga`];
+  const errors = [];
+  if (!isId(l.id)) errors.push(`${path}: sem id`);
+  if (typeof l.name !== 'string') errors.push(`${path}: sem nome`);
+  if (!Array.isArray(l.tournamentIds)) errors.push(`${path}: lista de etapas ausente`);
+  return errors;
+};
+
+export const validateProfile = (p, path = 'cadastro') => {
+  if (!isObject(p)) return [`${path}: não é um cadastro de jogador`];
+  const errors = [];
+  if (!isId(p.id)) errors.push(`${path}: sem id`);
+  if (typeof p.name !== 'string') errors.push(`${path}: sem nome`);
+  return errors;
+};
+
+export const validateBlindTemplate = (t, path = 'estrutura') => {
+  if (!isObject(t)) return [`${path}: não é uma estrutura de blinds`];
+  const errors = [];
+  if (!isId(t.id)) errors.push(`${path}: sem id`);
+  if (typeof t.name !== 'string') errors.push(`${path}: sem nome`);
+  if (!Array.isArray(t.blinds) || !t.blinds.length) {
+    errors.push(`${path}: sem níveis`);
+  } else {
+    t.blinds.forEach((b, i) => errors.push(...validateBlindLevel(b, `${path}.blinds[${i}]`)));
+  }
+  return errors;
+};
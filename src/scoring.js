@@ -0,0 +1,224 @@
+/*
+  scoring.js
+  - Sistemas de pontuação para ranking e liga: fórmula clássica, tabela fixa por lugar,
+    fórmulas ponderadas pelo tamanho do field e fórmula digitada pelo usuário
+  - A fórmula do usuário é interpretada por um parser próprio (sem eval)
+*/
+
+export const SCORING_SYSTEMS = ['classic', 'table', 'fieldLinear', 'fieldSqrt', 'custom'];
+
+export const scoringLabels = {
+  classic: 'Clássica: √((ações ÷ posição) × 100) × peso',
+  table: 'Tabela fixa por lugar',
+  fieldLinear: 'Field: (jogadores − posição + 1) × peso',
+  fieldSqrt: 'Field: 10 × √(jogadores ÷ posição) × peso',
+  custom: 'Fórmula personalizada',
+};
+
+export const defaultScoring = {
+  system: 'classic',
+  table: [100, 80, 65, 55, 45, 40, 35, 30, 25, 20],
+  expression: 'sqrt(actions / position * 100) * weight',
+};
+
+export const getScoring = (source) => ({ ...defaultScoring, ...source?.scoring });
+
+// Variáveis disponíveis na fórmula personalizada
+export const scoringVariables = {
+  position: 'Colocação final',
+  actions: 'Ações do jogador (buy-in + rebuys)',
+  players: 'Jogadores no torneio (field)',
+  entries: 'Total de ações do torneio',
+  weight: 'Peso da etapa',
+  rebuys: 'Rebuys do jogador',
+  addons: 'Add-ons do jogador',
+  prize: 'Prêmio do jogador (R$)',
+};
+
+const functions = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  ln: Math.log,
+  log: Math.log10,
+  min: Math.min,
+  max: Math.max,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  pow: Math.pow,
+};
+
+// Só nomes próprios do objeto (nada de constructor, __proto__ etc.)
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+const tokenize = (src) => {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (/\s/.test(c)) { i++; continue; }
+    const num = /^(\d+\.?\d*|\.\d+)/.exec(src.slice(i));
+    if (num) { tokens.push({ type: 'num', value: Number(num[0]) }); i += num[0].length; continue; }
+    const id = /^[a-zA-Z_]\w*/.exec(src.slice(i));
+    if (id) { tokens.push({ type: 'id', value: id[0] }); i += id[0].length; continue; }
+    if ('+-*/^%(),'.includes(c)) { tokens.push({ type: c }); i++; continue; }
+    throw new Error(`Caractere inválido na fórmula: "${c}"`);
+  }
+  return tokens;
+};
+
+// Parser descendente recursivo; gera uma função que recebe as variáveis
+const parse = (tokens) => {
+  let pos = 0;
+  const peek = () => tokens[pos]?.type;
+  const expect = (type) => {
+    if (peek() !== type) throw new Error(`Esperado "${type}" na fórmula`);
+    pos++;
+  };
+
+  const primary = () => {
+    const tok = tokens[pos++];
+    if (!tok) throw new Error('Fórmula incompleta');
+    if (tok.type === 'num') return () => tok.value;
+    if (tok.type === '(') {
+      const inner = expression();
+      expect(')');
+      return inner;
+    }
+    if (tok.type === 'id') {
+      if (peek() === '(') {
+        const fn = has(functions, tok.value) && functions[tok.value];
+        if (!fn) throw new Error(`Função desconhecida: ${tok.value}`);
+        pos++;
+        const args = [];
+        if (peek() !== ')') {
+          args.push(expression());
+          while (peek() === ',') { pos++; args.push(expression()); }
+        }
+        expect(')');
+        return (vars) => fn(...args.map(a => a(vars)));
+      }
+      if (!has(scoringVariables, tok.value)) throw new Error(`Variável desconhecida: ${tok.value}`);
+      return (vars) => vars[tok.value] ?? 0;
+    }
+    throw new Error('Fórmula inválida');
+  };
+
+  const unary = () => {
+    if (peek() === '-') { pos++; const v = unary(); return (vars) => -v(vars); }
+    if (peek() === '+') { pos++; return unary(); }
+    return power();
+  };
+
+  // Potência é associativa à direita: 2^3^2 = 2^9
+  const power = () => {
+    const base = primary();
+    if (peek() !== '^') return base;
+    pos++;
+    const exp = unary();
+    return (vars) => Math.pow(base(vars), exp(vars));
+  };
+
+  const term = () => {
+    let left = unary();
+    while (['*', '/', '%'].includes(peek())) {
+      const op = tokens[pos++].type;
+      const l = left;
+      const r = unary();
+      left = op === '*' ? (vars) => l(vars) * r(vars)
+        : op === '/' ? (vars) => l(vars) / r(vars)
+          : (vars) => l(vars) % r(vars);
+    }
+    return left;
+  };
+
+  const expression = () => {
+    let left = term();
+    while (['+', '-'].includes(peek())) {
+      const op = tokens[pos++].type;
+      const l = left;
+      const r = term();
+      left = op === '+' ? (vars) => l(vars) + r(vars) : (vars) => l(vars) - r(vars);
+    }
+    return left;
+  };
+
+  const result = expression();
+  if (pos < tokens.length) throw new Error('Fórmula inválida: sobrou texto no fim');
+  return result;
+};
+
+const compiled = new Map();
+
+// Lança Error com a mensagem em português quando a fórmula é inválida
+export const compileExpression = (src) => {
+  if (!compiled.has(src)) {
+    if (!src || !src.trim()) throw new Error('Fórmula vazia');
+    compiled.set(src, parse(tokenize(src)));
+  }
+  return compiled.get(src);
+};
+
+export const validateExpression = (src) => {
+  try {
+    compileExpression(src);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+};
+
+// Fórmula clássica: (((ações ÷ posição) × 100) ^ 0.5) × peso da etapa
+export function calculateRanking(actions, position, stageWeight) {
+  if (position <= 0 || actions <= 0) return 0;
+  return Math.pow(((actions / position) * 100), 0.5) * stageWeight;
+}
+
+// vars: { position, actions, players, entries, weight, rebuys, addons, prize }
+export const calculatePoints = (scoring, vars) => {
+  const { system, table, expression } = { ...defaultScoring, ...scoring };
+  const { position, actions, players, weight } = vars;
+  if (!position || position <= 0) return 0;
+
+  let points;
+  if (system === 'table') {
+    points = (table[position - 1] || 0) * weight;
+  } else if (system === 'fieldLinear') {
+    points = Math.max(0, players - position + 1) * weight;
+  } else if (system === 'fieldSqrt') {
+    points = 10 * Math.sqrt(players / position) * weight;
+  } else if (system === 'custom') {
+    try {
+      points = compileExpression(expression)(vars);
+    } catch (e) {
+      points = 0;
+    }
+  } else {
+    points = calculateRanking(actions, position, weight);
+  }
+  return Number.isFinite(points) ? points : 0;
+};
+
+// Jogadores ainda vivos ficam, no mínimo, com a pior posição entre os ativos
+export const getScoringPosition = (tournament, player) => (
+  player.position ?? tournament.players.filter(p => p.active).length
+);
+
+export const scoringVars = (tournament, player) => ({
+  position: getScoringPosition(tournament, player),
+  actions: player.actions,
+  players: tournament.players.length,
+  entries: tournament.players.reduce((s, p) => s + (p.actions || 0), 0),
+  weight: tournament.stageWeight ?? 1,
+  rebuys: player.rebuys || 0,
+  addons: player.addons || 0,
+  prize: player.prize || 0,
+});
+
+// Pontos por lugar para a pré-visualização (1 ação por jogador)
+export const previewPoints = (scoring, players, weight = 1) => Array.from({ length: players }, (_, i) => ({
+  position: i + 1,
+  points: calculatePoints(scoring, {
+    position: i + 1, actions: 1, players, entries: players, weight, rebuys: 0, addons: 0, prize: 0,
+  }),
+}));
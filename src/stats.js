@@ -0,0 +1,92 @@
+import { STACK_TYPES, countStacks, stackAmount } from './chips';
+import { getTables } from './tables';
+
+/*
+  stats.js
+  - Fichas em jogo a partir do que foi entregue (buy-ins, rebuys, addons, time chips, extra chips)
+  - Stack médio em fichas e em big blinds, M de cada jogador no nível atual
+  - Conferência: soma das fichas digitadas x fichas entregues
+*/
+
+// Blind que vale agora; no intervalo, o do nível que vem depois dele
+export const getPlayingLevel = (tournament, index = tournament.currentLevelIndex) => {
+  const blinds = tournament.blinds;
+  return blinds.slice(index).find(b => !b.isBreak) || [...blinds].reverse().find(b => !b.isBreak) || null;
+};
+
+// Fichas entregues por tipo; inscrições tardias com stack reduzido usam o stack que receberam
+export const chipsIssued = (tournament) => {
+  const counts = countStacks(tournament);
+  const byType = Object.fromEntries(STACK_TYPES.map(type => [type, counts[type] * stackAmount(tournament, type)]));
+  const reduced = tournament.players.reduce(
+    (s, p) => s + (p.entryChips != null && p.actions - p.rebuys > 0 ? tournament.buyInChips - p.entryChips : 0),
+    0,
+  );
+  byType.buyIn -= reduced;
+  return { counts, byType, total: STACK_TYPES.reduce((s, type) => s + byType[type], 0) };
+};
+
+export const chipsCounted = (tournament) => tournament.players
+  .filter(p => p.active)
+  .reduce((s, p) => s + (p.chips || 0), 0);
+
+// Custo de uma volta na mesa: small + big + antes (big blind ante é pago uma vez só)
+export const orbitCost = (level, playersAtTable) => {
+  if (!level) return 0;
+  const ante = level.ante || 0;
+  const antes = ante === level.bigBlind ? ante : ante * playersAtTable;
+  return level.smallBlind + level.bigBlind + antes;
+};
+
+export const mRatio = (stack, level, playersAtTable) => {
+  const cost = orbitCost(level, playersAtTable);
+  return cost > 0 ? stack / cost : null;
+};
+
+export const tournamentStats = (tournament) => {
+  const level = getPlayingLevel(tournament);
+  const active = tournament.players.filter(p => p.active);
+  const playersAtTable = Math.max(2, Math.min(active.length, getTables(tournament).seatsPerTable));
+  const issued = chipsIssued(tournament);
+  const counted = chipsCounted(tournament);
+  const averageStack = active.length ? issued.total / active.length : 0;
+  const bigBlind = level?.bigBlind || 0;
+
+  return {
+    level,
+    issued,
+    counted,
+    difference: counted - issued.total,
+    activeCount: active.length,
+    averageStack,
+    averageBB: bigBlind ? averageStack / bigBlind : null,
+    averageM: mRatio(averageStack, level, playersAtTable),
+    players: active
+      .map(p => ({
+        id: p.id,
+        name: p.name,
+        chips: p.chips || 0,
+        bb: bigBlind ? (p.chips || 0) / bigBlind : null,
+        m: mRatio(p.chips || 0, level, playersAtTable),
+      }))
+      .sort((a, b) => b.chips - a.chips),
+  };
+};
+
+// Zonas de M de Harrington
+export const mZone = (m) => {
+  if (m == null) return null;
+  if (m >= 20) return 'green';
+  if (m >= 10) return 'yellow';
+  if (m >= 6) return 'orange';
+  if (m >= 1) return 'red';
+  return 'dead';
+};
+
+export const mZoneLabels = {
+  green: 'Verde',
+  yellow: 'Amarela',
+  orange: 'Laranja',
+  red: 'Vermelha',
+  dead: 'Morta',
+};
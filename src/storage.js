@@ -0,0 +1,401 @@
+import { useEffect, useRef, useState } from 'react';
+import { STORE_VERSION, loadStore, sanitizeStore, saveCollection, storeKeys } from './store';
+
+/*
+  storage.js
+  - Persistência por registro (um torneio, uma liga, um jogador) no IndexedDB do navegador
+  - Sem IndexedDB, cai para o localStorage com as mesmas chaves de antes
+  - Cada registro tem uma revisão: salvar sobre uma revisão mais nova que a conhecida é conflito
+  - Abas avisam umas às outras pelo BroadcastChannel a cada gravação
+*/
+
+export const TAB_ID = `tab_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+export const KINDS = ['tournaments', 'leagues', 'profiles', 'templates'];
+
+const DB_NAME = 'poker_manager';
+// 2: modelos de estrutura de blinds
+const DB_VERSION = 2;
+const channelName = 'poker_storage_sync';
+const revsKey = 'poker_revs_v1';
+
+export const recordKey = (kind, id) => `${kind}:${id}`;
+
+// Torneios mais novos primeiro; ligas, cadastro e modelos na ordem de criação
+const sortEnvelopes = (kind, list) => [...list].sort((a, b) => (kind === 'tournaments' ? b.order - a.order : a.order - b.order));
+
+const initialOrder = (kind, i, length) => (kind === 'tournaments' ? length - i : i);
+
+const envelope = (data, rev, order) => ({ id: data.id, data, rev, order, savedAt: Date.now(), tabId: TAB_ID });
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    KINDS.forEach(kind => {
+      if (!db.objectStoreNames.contains(kind)) db.createObjectStore(kind, { keyPath: 'id' });
+    });
+    if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+  };
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// Registros que falharam na validação saem do banco e ficam só na quarentena
+const splitQuarantined = (data, revs) => {
+  const sanitized = sanitizeStore(data);
+  const kept = {};
+  KINDS.forEach(kind => { sanitized[kind].forEach(r => { kept[recordKey(kind, r.id)] = true; }); });
+  const dropped = [];
+  KINDS.forEach(kind => {
+    data[kind].forEach(r => {
+      if (r && r.id != null && !kept[recordKey(kind, r.id)]) dropped.push({ kind, id: r.id });
+    });
+  });
+  return { ...sanitized, revs, dropped };
+};
+
+const createIndexedDBStorage = async () => {
+  const db = await openDatabase();
+  const store = (kind, mode = 'readonly') => db.transaction(kind, mode).objectStore(kind);
+
+  const getMeta = async (key) => (await request(store('meta').get(key)))?.value;
+  const setMeta = (key, value) => request(store('meta', 'readwrite').put({ key, value }));
+
+  // Primeira abertura: importa o que estava no localStorage (já migrado e com quarentena)
+  const importFromLocalStorage = async () => {
+    const stored = loadStore();
+    const tx = db.transaction([...KINDS, 'meta'], 'readwrite');
+    KINDS.forEach(kind => {
+      const list = stored[kind];
+      list.forEach((data, i) => tx.objectStore(kind).put(envelope(data, 1, initialOrder(kind, i, list.length))));
+    });
+    tx.objectStore('meta').put({ key: 'quarantine', value: stored.quarantine });
+    tx.objectStore('meta').put({ key: 'storeVersion', value: STORE_VERSION });
+    await transactionDone(tx);
+  };
+
+  const loadAll = async () => {
+    if ((await getMeta('storeVersion')) == null) await importFromLocalStorage();
+    const data = {};
+    const revs = {};
+    for (const kind of KINDS) {
+      const envelopes = sortEnvelopes(kind, await request(store(kind).getAll()));
+      data[kind] = envelopes.map(e => e.data);
+      envelopes.forEach(e => { revs[recordKey(kind, e.id)] = e.rev; });
+    }
+    const result = splitQuarantined(data, revs);
+    const previous = (await getMeta('quarantine')) || [];
+    if (result.dropped.length) {
+      const tx = db.transaction([...KINDS, 'meta'], 'readwrite');
+      result.dropped.forEach(({ kind, id }) => tx.objectStore(kind).delete(id));
+      tx.objectStore('meta').put({ key: 'quarantine', value: [...previous, ...result.quarantine] });
+      await transactionDone(tx);
+    }
+    return { ...result, quarantine: [...previous, ...result.quarantine] };
+  };
+
+  const getRecord = (kind, id) => request(store(kind).get(id));
+
+  // Leitura e escrita na mesma transação: nenhuma outra aba grava entre a conferência e o put
+  const saveRecord = async (kind, data, baseRev) => {
+    const tx = db.transaction(kind, 'readwrite');
+    const os = tx.objectStore(kind);
+    let result;
+    os.get(data.id).onsuccess = (e) => {
+      const current = e.target.result;
+      if (current && current.rev !== baseRev) {
+        result = { conflict: true, current };
+        return;
+      }
+      const rev = (current?.rev || 0) + 1;
+      os.put(envelope(data, rev, current?.order ?? Date.now()));
+      result = { ok: true, rev };
+    };
+    await transactionDone(tx);
+    return result;
+  };
+
+  const deleteRecord = (kind, id) => request(store(kind, 'readwrite').delete(id));
+
+  const saveQuarantine = (quarantine) => setMeta('quarantine', quarantine);
+
+  return { backend: 'indexedDB', loadAll, getRecord, saveRecord, deleteRecord, saveQuarantine };
+};
+
+// Sem IndexedDB (navegação privada em alguns navegadores): coleções inteiras no localStorage
+const createLocalStorage = () => {
+  const readJSON = (key, fallback) => {
+    try {
+      const value = JSON.parse(localStorage.getItem(key));
+      return value ?? fallback;
+    } catch (e) {
+      return fallback;
+    }
+  };
+  const readList = (kind) => {
+    const list = readJSON(storeKeys[kind], []);
+    return Array.isArray(list) ? list : [];
+  };
+  const readRevs = () => readJSON(revsKey, {});
+  const writeRev = (kind, id, rev) => {
+    const revs = readRevs();
+    if (rev == null) delete revs[recordKey(kind, id)];
+    else revs[recordKey(kind, id)] = rev;
+    localStorage.setItem(revsKey, JSON.stringify(revs));
+  };
+
+  const loadAll = async () => ({ ...loadStore(), revs: readRevs() });
+
+  const getRecord = async (kind, id) => {
+    const data = readList(kind).find(r => r.id === id);
+    return data ? { id, data, rev: readRevs()[recordKey(kind, id)] || 0 } : undefined;
+  };
+
+  // localStorage é síncrono: conferência e gravação não se intercalam com outras abas
+  const saveRecord = async (kind, data, baseRev) => {
+    const list = readList(kind);
+    const index = list.findIndex(r => r.id === data.id);
+    const currentRev = readRevs()[recordKey(kind, data.id)] || 0;
+    if (index >= 0 && currentRev !== baseRev) {
+      return { conflict: true, current: { id: data.id, data: list[index], rev: currentRev } };
+    }
+    if (index >= 0) list[index] = data;
+    else if (kind === 'tournaments') list.unshift(data);
+    else list.push(data);
+    saveCollection(kind, list);
+    writeRev(kind, data.id, currentRev + 1);
+    return { ok: true, rev: currentRev + 1 };
+  };
+
+  const deleteRecord = async (kind, id) => {
+    saveCollection(kind, readList(kind).filter(r => r.id !== id));
+    writeRev(kind, id, null);
+  };
+
+  const saveQuarantine = async (quarantine) => saveCollection('quarantine', quarantine);
+
+  return { backend: 'localStorage', loadAll, getRecord, saveRecord, deleteRecord, saveQuarantine };
+};
+
+export const openStorage = async () => {
+  if (typeof indexedDB === 'undefined') return createLocalStorage();
+  try {
+    return await createIndexedDBStorage();
+  } catch (e) {
+    console.warn('IndexedDB indisponível, usando localStorage', e);
+    return createLocalStorage();
+  }
+};
+
+// Abre e carrega tudo; se o IndexedDB abrir mas a leitura falhar, também cai para o localStorage
+const openAndLoad = async () => {
+  const storage = await openStorage();
+  try {
+    return { storage, data: await storage.loadAll() };
+  } catch (e) {
+    if (storage.backend !== 'indexedDB') throw e;
+    console.warn('Falha ao ler o IndexedDB, usando localStorage', e);
+    const fallback = createLocalStorage();
+    return { storage: fallback, data: await fallback.loadAll() };
+  }
+};
+
+const openChannel = () => (typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(channelName));
+
+const sameContent = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Liga o estado do provider ao armazenamento.
+// collections: { tournaments: [lista, setter], leagues, profiles, templates e quarantine no mesmo formato }
+// Devolve ready (carregamento concluído), loadError (nada pôde ser carregado), os conflitos pendentes
+// e resolveConflict(conflito, 'theirs' | 'mine').
+export const useStorageSync = (collections, { onLoaded } = {}) => {
+  const [ready, setReady] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+  const storageRef = useRef(null);
+  const channelRef = useRef(null);
+  const savedRef = useRef({});
+  const revsRef = useRef({});
+  const queuesRef = useRef({});
+  const conflictKeysRef = useRef({});
+  const latestRef = useRef(collections);
+  latestRef.current = collections;
+
+  const setter = (kind) => latestRef.current[kind][1];
+
+  const addConflict = (kind, current) => {
+    const key = recordKey(kind, current.id);
+    conflictKeysRef.current[key] = true;
+    setConflicts((list) => [...list.filter(c => c.key !== key), { key, kind, id: current.id, theirs: current }]);
+  };
+
+  const dropConflict = (key) => {
+    delete conflictKeysRef.current[key];
+    setConflicts((list) => list.filter(c => c.key !== key));
+  };
+
+  // Gravações do mesmo registro em fila; só a versão mais recente chega ao banco
+  const enqueue = (key, task) => {
+    const previous = queuesRef.current[key] || Promise.resolve();
+    queuesRef.current[key] = previous.then(task).catch((e) => console.error('Erro ao salvar:', e));
+  };
+
+  const writeRecord = (kind, record) => {
+    const key = recordKey(kind, record.id);
+    savedRef.current[key] = record;
+    enqueue(key, async () => {
+      if (savedRef.current[key] !== record || conflictKeysRef.current[key]) return;
+      const result = await storageRef.current.saveRecord(kind, record, revsRef.current[key] ?? null);
+      if (result.conflict) {
+        // Outra aba gravou o mesmo conteúdo: só acompanha a revisão
+        if (sameContent(result.current.data, record)) revsRef.current[key] = result.current.rev;
+        else addConflict(kind, result.current);
+        return;
+      }
+      revsRef.current[key] = result.rev;
+      channelRef.current?.postMessage({ type: 'saved', kind, id: record.id, rev: result.rev, tabId: TAB_ID });
+    });
+  };
+
+  const persist = (kind, list) => {
+    const present = {};
+    list.forEach(record => {
+      const key = recordKey(kind, record.id);
+      present[key] = true;
+      if (savedRef.current[key] !== record && !conflictKeysRef.current[key]) writeRecord(kind, record);
+    });
+    Object.keys(savedRef.current).forEach(key => {
+      if (!key.startsWith(`${kind}:`) || present[key]) return;
+      const { id } = savedRef.current[key];
+      delete savedRef.current[key];
+      enqueue(key, async () => {
+        if (savedRef.current[key]) return;
+        await storageRef.current.deleteRecord(kind, id);
+        delete revsRef.current[key];
+        channelRef.current?.postMessage({ type: 'deleted', kind, id, tabId: TAB_ID });
+      });
+    });
+  };
+
+  // Troca (ou acrescenta) o registro local pelo que está salvo
+  const adopt = (kind, current) => {
+    const key = recordKey(kind, current.id);
+    savedRef.current[key] = current.data;
+    revsRef.current[key] = current.rev;
+    setter(kind)((list) => {
+      if (list.some(r => r.id === current.id)) return list.map(r => (r.id === current.id ? current.data : r));
+      return kind === 'tournaments' ? [current.data, ...list] : [...list, current.data];
+    });
+  };
+
+  const resolveConflict = (conflict, choice) => {
+    dropConflict(conflict.key);
+    if (choice === 'theirs') {
+      adopt(conflict.kind, conflict.theirs);
+      return;
+    }
+    // Mantém a versão desta aba por cima da revisão da outra
+    revsRef.current[conflict.key] = conflict.theirs.rev;
+    const mine = latestRef.current[conflict.kind][0].find(r => r.id === conflict.id);
+    if (mine) writeRecord(conflict.kind, mine);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    openAndLoad()
+      .then(({ storage, data }) => {
+        if (cancelled) return;
+        storageRef.current = storage;
+        KINDS.forEach(kind => {
+          data[kind].forEach(r => {
+            const key = recordKey(kind, r.id);
+            savedRef.current[key] = r;
+            revsRef.current[key] = data.revs[key] || 0;
+          });
+          setter(kind)(data[kind]);
+        });
+        latestRef.current.quarantine[1](data.quarantine);
+        onLoaded?.(data);
+        setReady(true);
+      })
+      .catch((e) => {
+        console.error('Erro ao carregar dados:', e);
+        if (!cancelled) setLoadError(e);
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Mensagens das outras abas: recarrega o registro, ou marca conflito se há edição local não salva
+  useEffect(() => {
+    if (!ready) return undefined;
+    const channel = openChannel();
+    if (!channel) return undefined;
+    channelRef.current = channel;
+
+    channel.onmessage = async (e) => {
+      const msg = e.data || {};
+      if (msg.tabId === TAB_ID || !KINDS.includes(msg.kind)) return;
+      const key = recordKey(msg.kind, msg.id);
+      const local = latestRef.current[msg.kind][0].find(r => r.id === msg.id);
+      const unsaved = !!local && savedRef.current[key] !== local;
+
+      if (msg.type === 'deleted') {
+        if (unsaved) return;
+        delete savedRef.current[key];
+        delete revsRef.current[key];
+        setter(msg.kind)((list) => list.filter(r => r.id !== msg.id));
+        return;
+      }
+      if ((revsRef.current[key] ?? -1) >= msg.rev) return;
+      const current = await storageRef.current.getRecord(msg.kind, msg.id);
+      if (!current) return;
+      if (unsaved && !sameContent(current.data, local)) addConflict(msg.kind, current);
+      else adopt(msg.kind, current);
+    };
+
+    return () => {
+      channel.close();
+      channelRef.current = null;
+    };
+  }, [ready]);
+
+  const [tournaments] = collections.tournaments;
+  const [leagues] = collections.leagues;
+  const [profiles] = collections.profiles;
+  const [templates] = collections.templates;
+  const [quarantine] = collections.quarantine;
+
+  useEffect(() => {
+    if (ready) persist('tournaments', tournaments);
+  }, [ready, tournaments]);
+
+  useEffect(() => {
+    if (ready) persist('leagues', leagues);
+  }, [ready, leagues]);
+
+  useEffect(() => {
+    if (ready) persist('profiles', profiles);
+  }, [ready, profiles]);
+
+  useEffect(() => {
+    if (ready) persist('templates', templates);
+  }, [ready, templates]);
+
+  useEffect(() => {
+    if (ready) storageRef.current.saveQuarantine(quarantine);
+  }, [ready, quarantine]);
+
+  return { ready, loadError, backend: storageRef.current?.backend ?? null, conflicts, resolveConflict };
+};
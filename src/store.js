@@ -0,0 +1,129 @@
+import { getElapsedMs } from './clock';
+import { defaultFeeRules } from './finance';
+import { getStatus } from './lifecycle';
+import { normalizeTournament, validateTournament, validateLeague, validateProfile, validateBlindTemplate } from './schema';
+
+/*
+  store.js
+  - Dados salvos no localStorage com número de versão
+  - Cadeia de migrações a partir de poker_tournaments_v1 (versão 1, sem número salvo)
+  - Registros corrompidos vão para a quarentena em vez de serem descartados
+*/
+
+export const STORE_VERSION = 2;
+
+export const storeKeys = {
+  tournaments: 'poker_tournaments_v1',
+  leagues: 'poker_leagues_v1',
+  profiles: 'poker_profiles_v1',
+  templates: 'poker_blind_templates_v1',
+  version: 'poker_store_version',
+  quarantine: 'poker_quarantine_v1',
+};
+
+const collectionValidators = {
+  tournaments: validateTournament,
+  leagues: validateLeague,
+  profiles: validateProfile,
+  templates: validateBlindTemplate,
+};
+
+// Cada migração recebe os dados da versão N e devolve os da versão N + 1
+const migrations = {
+  // 1 → 2: relógio por horário (timeLeft → levelElapsedMs), taxas por tipo (adminFeePercent → feeRules)
+  // e estado explícito para torneios anteriores ao ciclo de vida
+  1: (data) => ({
+    ...data,
+    tournaments: data.tournaments.map(t => {
+      if (!t || typeof t !== 'object') return t;
+      const next = { ...t };
+      if (next.levelElapsedMs == null && Array.isArray(next.blinds)) {
+        next.levelElapsedMs = getElapsedMs({ ...next, isRunning: false });
+      }
+      delete next.timeLeft;
+      if (!next.feeRules && next.adminFeePercent != null) {
+        next.feeRules = { ...defaultFeeRules, buyIn: next.adminFeePercent, rebuy: next.adminFeePercent };
+      }
+      delete next.adminFeePercent;
+      if (!next.status) next.status = getStatus(next);
+      return next;
+    }),
+  }),
+};
+
+export const migrateStore = (data, fromVersion) => {
+  let version = fromVersion;
+  let result = data;
+  while (version < STORE_VERSION) {
+    result = migrations[version](result);
+    version += 1;
+  }
+  return result;
+};
+
+const quarantineEntry = (kind, record, errors, now) => ({ kind, record, errors, quarantinedAt: now });
+
+// Normaliza e valida cada registro; os inválidos vão para a quarentena
+export const sanitizeStore = (data, now = Date.now()) => {
+  const quarantine = [];
+  const result = {};
+  Object.keys(collectionValidators).forEach(kind => {
+    const list = Array.isArray(data[kind]) ? data[kind] : [];
+    if (data[kind] != null && !Array.isArray(data[kind])) {
+      quarantine.push(quarantineEntry(kind, data[kind], ['Lista inválida'], now));
+    }
+    result[kind] = [];
+    list.forEach((record, i) => {
+      const item = kind === 'tournaments' ? normalizeTournament(record) : record;
+      const errors = collectionValidators[kind](item, `${kind}[${i}]`);
+      if (errors.length) {
+        quarantine.push(quarantineEntry(kind, record, errors, now));
+      } else {
+        result[kind].push(item);
+      }
+    });
+  });
+  return { ...result, quarantine };
+};
+
+// Lê tudo do localStorage, migrando e recuperando o que for possível
+export const loadStore = (storage = localStorage, now = Date.now()) => {
+  const quarantine = [];
+  const data = {};
+  Object.keys(collectionValidators).forEach(kind => {
+    const raw = storage.getItem(storeKeys[kind]);
+    if (!raw) {
+      data[kind] = [];
+      return;
+    }
+    try {
+      data[kind] = JSON.parse(raw);
+    } catch (e) {
+      // JSON ilegível: guarda o texto original para recuperação manual
+      quarantine.push(quarantineEntry(kind, raw, ['JSON ilegível'], now));
+      data[kind] = [];
+    }
+  });
+
+  let previous = [];
+  try {
+    previous = JSON.parse(storage.getItem(storeKeys.quarantine) || '[]');
+  } catch (e) {
+    previous = [];
+  }
+
+  const version = Number(storage.getItem(storeKeys.version)) || 1;
+  const sanitized = sanitizeStore(version < STORE_VERSION ? migrateStore(data, version) : data, now);
+  return {
+    tournaments: sanitized.tournaments,
+    leagues: sanitized.leagues,
+    profiles: sanitized.profiles,
+    templates: sanitized.templates,
+    quarantine: [...(Array.isArray(previous) ? previous : []), ...quarantine, ...sanitized.quarantine],
+  };
+};
+
+export const saveCollection = (kind, value, storage = localStorage) => {
+  storage.setItem(storeKeys[kind], JSON.stringify(value));
+  storage.setItem(storeKeys.version, String(STORE_VERSION));
+};
@@ -0,0 +1,134 @@
+/*
+  tables.js
+  - Mesas e assentos: sorteio aleatório na inscrição
+  - Sugestões de balanceamento quando uma mesa fica desfalcada
+  - Quebra de mesas conforme o field diminui
+*/
+
+export const defaultTables = {
+  count: 2,
+  seatsPerTable: 9,
+  autoSeat: true,
+  broken: [], // números das mesas já quebradas
+};
+
+export const getTables = (tournament) => ({ ...defaultTables, ...tournament.tables });
+
+export const openTables = (tournament) => {
+  const cfg = getTables(tournament);
+  const tables = [];
+  for (let n = 1; n <= cfg.count; n++) {
+    if (!cfg.broken.includes(n)) tables.push(n);
+  }
+  return tables;
+};
+
+const seated = (players) => players.filter(p => p.active && p.table && p.seat);
+
+// Jogadores ativos sentados em cada mesa aberta: { [mesa]: [jogadores] }
+export const tableOccupancy = (tournament, players = tournament.players) => {
+  const map = {};
+  openTables(tournament).forEach(n => { map[n] = []; });
+  seated(players).forEach(p => {
+    if (map[p.table]) map[p.table].push(p);
+  });
+  return map;
+};
+
+const emptySeats = (tournament, table, players) => {
+  const { seatsPerTable } = getTables(tournament);
+  const taken = new Set(seated(players).filter(p => p.table === table).map(p => p.seat));
+  const seats = [];
+  for (let s = 1; s <= seatsPerTable; s++) if (!taken.has(s)) seats.push(s);
+  return seats;
+};
+
+const pick = (list, rng) => list[Math.floor(rng() * list.length)];
+// Sugestões são determinísticas para não mudarem a cada renderização
+const firstPick = () => 0;
+
+// Assento aleatório, sempre na mesa com menos jogadores
+export const drawSeat = (tournament, players = tournament.players, rng = Math.random) => {
+  const occupancy = tableOccupancy(tournament, players);
+  const candidates = Object.keys(occupancy)
+    .map(Number)
+    .filter(n => emptySeats(tournament, n, players).length > 0);
+  if (!candidates.length) return null;
+  const fewest = Math.min(...candidates.map(n => occupancy[n].length));
+  const table = pick(candidates.filter(n => occupancy[n].length === fewest), rng);
+  return { table, seat: pick(emptySeats(tournament, table, players), rng) };
+};
+
+// Dá assento a todo jogador ativo sem lugar (ou em lugar ocupado/mesa quebrada)
+export const ensureSeats = (tournament, players = tournament.players, rng = Math.random) => {
+  const open = new Set(openTables(tournament));
+  const { seatsPerTable } = getTables(tournament);
+  const used = new Set();
+  let result = players.map(p => {
+    if (!p.active || !p.table || !p.seat) return p;
+    const key = `${p.table}-${p.seat}`;
+    if (!open.has(p.table) || p.seat > seatsPerTable || used.has(key)) return { ...p, table: null, seat: null };
+    used.add(key);
+    return p;
+  });
+  result.forEach(p => {
+    if (!p.active || (p.table && p.seat)) return;
+    const spot = drawSeat(tournament, result, rng);
+    if (spot) result = result.map(x => (x.id === p.id ? { ...x, ...spot } : x));
+  });
+  return result;
+};
+
+// Novo sorteio de todos os assentos
+export const redrawAllSeats = (tournament, rng = Math.random) => ensureSeats(
+  tournament,
+  tournament.players.map(p => ({ ...p, table: null, seat: null })),
+  rng
+);
+
+// Movimentos para deixar as mesas com no máximo 1 jogador de diferença
+export const suggestBalancing = (tournament, rng = firstPick) => {
+  let players = tournament.players;
+  const moves = [];
+  for (;;) {
+    const occupancy = tableOccupancy(tournament, players);
+    const tables = Object.keys(occupancy).map(Number);
+    if (tables.length < 2) break;
+    const biggest = tables.reduce((a, b) => (occupancy[b].length > occupancy[a].length ? b : a));
+    const smallest = tables.reduce((a, b) => (occupancy[b].length < occupancy[a].length ? b : a));
+    if (occupancy[biggest].length - occupancy[smallest].length <= 1) break;
+
+    const mover = pick(occupancy[biggest], rng);
+    const seat = pick(emptySeats(tournament, smallest, players), rng);
+    moves.push({ playerId: mover.id, name: mover.name, from: { table: mover.table, seat: mover.seat }, to: { table: smallest, seat } });
+    players = players.map(p => (p.id === mover.id ? { ...p, table: smallest, seat } : p));
+  }
+  return moves;
+};
+
+// Mesa a quebrar quando os jogadores restantes cabem nas outras mesas
+export const suggestTableBreak = (tournament, rng = firstPick) => {
+  const occupancy = tableOccupancy(tournament);
+  const tables = Object.keys(occupancy).map(Number);
+  const { seatsPerTable } = getTables(tournament);
+  const activeSeated = tables.reduce((s, n) => s + occupancy[n].length, 0);
+  if (tables.length < 2 || activeSeated > (tables.length - 1) * seatsPerTable) return null;
+
+  // Quebra a mesa com menos jogadores (a de maior número em caso de empate)
+  const table = tables.reduce((a, b) => (occupancy[b].length <= occupancy[a].length ? b : a));
+  const remaining = { ...tournament, tables: { ...getTables(tournament), broken: [...getTables(tournament).broken, table] } };
+  let players = tournament.players.map(p => (p.table === table ? { ...p, table: null, seat: null } : p));
+  const moves = [];
+  occupancy[table].forEach(mover => {
+    const spot = drawSeat(remaining, players, rng);
+    if (!spot) return;
+    moves.push({ playerId: mover.id, name: mover.name, from: { table: mover.table, seat: mover.seat }, to: spot });
+    players = players.map(p => (p.id === mover.id ? { ...p, ...spot } : p));
+  });
+  return { table, moves };
+};
+
+export const applyMoves = (players, moves) => players.map(p => {
+  const move = moves.find(m => m.playerId === p.id);
+  return move ? { ...p, table: move.to.table, seat: move.to.seat } : p;
+});
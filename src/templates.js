@@ -0,0 +1,196 @@
+import { generateBlinds, defaultGeneratorOptions } from './blinds';
+import { applyDefaults, blindLevelDefaults, validateBlindTemplate } from './schema';
+
+/*
+  templates.js
+  - Biblioteca de estruturas de blinds: modelos prontos (turbo, regular, deep stack) e os salvos pelo clube
+  - Exportação e importação em JSON (vários modelos por arquivo) ou CSV (uma linha por nível)
+*/
+
+export const TEMPLATES_FORMAT = 'poker-blind-templates';
+export const TEMPLATES_VERSION = 1;
+
+const CSV_HEADER = ['template', 'level', 'small_blind', 'big_blind', 'ante', 'duration', 'break'];
+const CSV_REQUIRED = ['small_blind', 'big_blind', 'duration'];
+
+const builtIn = (id, name, description, options) => {
+  const base = { ...defaultGeneratorOptions({}), ...options };
+  return { id, name, description, builtIn: true, levelDuration: base.levelDuration, blinds: generateBlinds(base) };
+};
+
+// Gerados uma vez com o gerador de estruturas; ficam fora do armazenamento
+export const BUILTIN_TEMPLATES = [
+  builtIn('builtin_turbo', 'Turbo', '10.000 fichas, níveis de 10 min, ~2h', {
+    startingStack: 10000, targetMinutes: 120, levelDuration: 10, breakEvery: 6,
+  }),
+  builtIn('builtin_regular', 'Regular', '20.000 fichas, níveis de 20 min, ~4h', {
+    startingStack: 20000, targetMinutes: 240, levelDuration: 20, breakEvery: 4,
+  }),
+  builtIn('builtin_deep', 'Deep Stack', '50.000 fichas, níveis de 30 min, ~6h', {
+    startingStack: 50000, targetMinutes: 360, levelDuration: 30, breakEvery: 3, breakDuration: 15,
+  }),
+];
+
+// Contador evita ids repetidos no mesmo milissegundo (importação de vários modelos de uma vez);
+// crypto.randomUUID não existe fora de HTTPS/localhost
+let counter = 0;
+const uid = () => {
+  counter += 1;
+  return `bt_${Date.now().toString(36)}_${counter.toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+};
+
+const copyBlinds = (blinds) => blinds.map(b => ({ ...b }));
+
+export const createTemplate = ({ name, description = '', blinds, levelDuration }) => ({
+  id: uid(),
+  name: name.trim(),
+  description,
+  levelDuration,
+  blinds: copyBlinds(blinds),
+  createdAt: Date.now(),
+});
+
+// Campos do torneio ao aplicar o modelo
+export const templatePatch = (template, tournament) => ({
+  blinds: copyBlinds(template.blinds),
+  levelDuration: template.levelDuration,
+  currentLevelIndex: Math.min(tournament.currentLevelIndex, template.blinds.length - 1),
+});
+
+const fileName = (templates) => (templates.length === 1 ? templates[0].name : 'estruturas_de_blinds');
+
+const download = (content, type, filename) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+const exported = (templates) => templates.map(({ name, description, levelDuration, blinds }) => ({ name, description, levelDuration, blinds }));
+
+export const templatesToJSON = (templates) => JSON.stringify({
+  format: TEMPLATES_FORMAT,
+  version: TEMPLATES_VERSION,
+  exportedAt: new Date().toISOString(),
+  templates: exported(templates),
+}, null, 2);
+
+export const templatesToCSV = (templates) => {
+  const escape = (v) => `"${String(v).replace(/"/g, '""')}"`;
+  const rows = templates.flatMap(t => t.blinds.map(b => [
+    escape(t.name),
+    b.level,
+    b.isBreak ? 0 : b.smallBlind,
+    b.isBreak ? 0 : b.bigBlind,
+    b.isBreak ? 0 : b.ante || 0,
+    b.duration || (b.isBreak ? b.breakDuration : t.levelDuration),
+    b.isBreak ? 1 : 0,
+  ].join(',')));
+  return [CSV_HEADER.join(','), ...rows].join('\n');
+};
+
+export const downloadTemplates = (templates, format) => {
+  const name = fileName(templates).replace(/[^a-z0-9]/gi, '_');
+  if (format === 'csv') download(templatesToCSV(templates), 'text/csv', `${name}.csv`);
+  else download(templatesToJSON(templates), 'application/json', `${name}.json`);
+};
+
+// Divide uma linha CSV respeitando aspas
+const splitCSVLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',' || c === ';') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+const parseCSV = (text) => {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  const header = splitCSVLine(lines[0] || '').map(h => h.toLowerCase());
+  const missing = CSV_REQUIRED.filter(h => !header.includes(h));
+  if (missing.length) return { templates: [], errors: [`Colunas ausentes no CSV: ${missing.join(', ')}`] };
+
+  const byName = new Map();
+  const errors = [];
+  lines.slice(1).forEach((line, i) => {
+    const cells = splitCSVLine(line);
+    const row = Object.fromEntries(header.map((h, j) => [h, cells[j]]));
+    const numbers = ['level', 'small_blind', 'big_blind', 'ante', 'duration'].map(k => Number(row[k] || 0));
+    if (numbers.some(n => !Number.isFinite(n))) {
+      errors.push(`Linha ${i + 2}: valor não numérico`);
+      return;
+    }
+    const [number, smallBlind, bigBlind, ante, duration] = numbers;
+    const level = number || i + 1;
+    const isBreak = ['1', 'true', 'sim', 'x'].includes(String(row.break || '').toLowerCase());
+    const name = row.template || 'Estrutura importada';
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(isBreak
+      ? { level, smallBlind: 0, bigBlind: 0, ante: 0, isBreak, breakDuration: duration, duration }
+      : { level, smallBlind, bigBlind, ante, isBreak, duration });
+  });
+
+  const templates = [...byName.entries()].map(([name, blinds]) => ({
+    name,
+    levelDuration: blinds.find(b => !b.isBreak)?.duration || 20,
+    blinds,
+  }));
+  return { templates, errors };
+};
+
+const parseJSON = (text) => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    return { templates: [], errors: ['O arquivo não é um JSON válido'] };
+  }
+  if (!doc || doc.format !== TEMPLATES_FORMAT) return { templates: [], errors: ['O arquivo não é uma exportação de estruturas de blinds'] };
+  if (doc.version > TEMPLATES_VERSION) {
+    return { templates: [], errors: [`Arquivo da versão ${doc.version}, mais nova que a suportada (${TEMPLATES_VERSION}). Atualize o aplicativo.`] };
+  }
+  return { templates: Array.isArray(doc.templates) ? doc.templates : [], errors: [] };
+};
+
+// Lê o arquivo (JSON ou CSV pela extensão) e devolve modelos prontos para salvar: { templates, errors }
+export const parseTemplatesFile = (text, filename = '') => {
+  const result = /\.csv$/i.test(filename) ? parseCSV(text) : parseJSON(text);
+  if (result.errors.length) return { templates: [], errors: result.errors };
+
+  const templates = result.templates.map(t => {
+    const blinds = Array.isArray(t?.blinds) ? t.blinds.map(b => (b && typeof b === 'object' ? applyDefaults(b, blindLevelDefaults) : b)) : null;
+    return {
+      name: typeof t?.name === 'string' && t.name.trim() ? t.name : 'Estrutura importada',
+      description: typeof t?.description === 'string' ? t.description : '',
+      levelDuration: Number(t?.levelDuration) || blinds?.find(b => b && !b.isBreak)?.duration || 20,
+      blinds,
+    };
+  });
+  const errors = templates.flatMap((t, i) => validateBlindTemplate({ id: 'import', ...t }, `Estrutura ${i + 1}`));
+  if (!templates.length) errors.push('Nenhuma estrutura encontrada no arquivo');
+  if (errors.length) return { templates: [], errors };
+  return { templates: templates.map(createTemplate), errors: [] };
+};
@@ -0,0 +1,128 @@
+import { useEffect, useState } from 'react';
+
+/*
+  tvImages.js
+  - Logos enviados do computador ficam num banco próprio (IndexedDB), fora do torneio
+  - O layout da TV guarda só a referência "image:<id>"; endereços (URL) continuam direto no campo
+  - Assim as imagens não entram no histórico nem no snapshot da TV; os backups as levam à parte
+  - Sem IndexedDB, cada imagem vai para uma chave própria do localStorage
+  - Imagens não são apagadas ao trocar o logo: desfazer ainda pode apontar para a anterior
+*/
+
+const DB_NAME = 'poker_tv_images';
+const DB_VERSION = 1;
+const STORE = 'images';
+const IMAGE_PREFIX = 'image:';
+const localKey = (id) => `poker_tv_image_${id}`;
+
+export const isStoredImage = (value) => typeof value === 'string' && value.startsWith(IMAGE_PREFIX);
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+let dbPromise = null;
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB indisponível'));
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE, { keyPath: 'id' });
+    };
+    dbPromise = request(req).catch((e) => {
+      dbPromise = null;
+      throw e;
+    });
+  }
+  return dbPromise;
+};
+
+const putImage = async (id, dataUrl) => {
+  try {
+    const db = await openDatabase();
+    await request(db.transaction(STORE, 'readwrite').objectStore(STORE).put({ id, dataUrl, savedAt: Date.now() }));
+  } catch (e) {
+    console.warn('IndexedDB indisponível para imagens, usando localStorage', e);
+    // Pode estourar a cota: o erro sobe para quem enviou a imagem
+    localStorage.setItem(localKey(id), dataUrl);
+  }
+};
+
+// Guarda a imagem (data URL) e devolve a referência para o layout
+export const saveImage = async (dataUrl) => {
+  const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  await putImage(id, dataUrl);
+  return `${IMAGE_PREFIX}${id}`;
+};
+
+const imageId = (value) => value.slice(IMAGE_PREFIX.length);
+
+export const loadImage = async (value) => {
+  if (!isStoredImage(value)) return value || '';
+  const id = imageId(value);
+  try {
+    const db = await openDatabase();
+    const record = await request(db.transaction(STORE).objectStore(STORE).get(id));
+    if (record) return record.dataUrl;
+  } catch (e) {
+    console.warn('Falha ao ler imagem do IndexedDB', e);
+  }
+  return localStorage.getItem(localKey(id)) || '';
+};
+
+// Referências "image:<id>" usadas nos layouts, com os torneios que as usam
+const imageUsage = (tournaments) => {
+  const usage = {};
+  tournaments.forEach(t => {
+    [t.tvLayout?.logo, t.tvLayout?.sponsorLogo].filter(isStoredImage).forEach(value => {
+      usage[value] = [...(usage[value] || []), t.name];
+    });
+  });
+  return usage;
+};
+
+// Imagens referenciadas pelos torneios, para o backup: [{ id, dataUrl }]
+export const exportImages = async (tournaments) => {
+  const images = [];
+  for (const value of Object.keys(imageUsage(tournaments))) {
+    const dataUrl = await loadImage(value);
+    if (dataUrl) images.push({ id: imageId(value), dataUrl });
+  }
+  return images;
+};
+
+// Restauração: grava as imagens do backup com os mesmos ids
+export const importImages = async (images) => {
+  for (const image of images) await putImage(image.id, image.dataUrl);
+};
+
+// Nomes dos torneios cujo layout aponta para imagens que não estão neste navegador
+export const findMissingImages = async (tournaments) => {
+  const missing = new Set();
+  for (const [value, names] of Object.entries(imageUsage(tournaments))) {
+    if (!(await loadImage(value))) names.forEach(name => missing.add(name));
+  }
+  return [...missing];
+};
+
+// Endereço pronto para <img>: URL como está, referência resolvida no banco de imagens
+export const useStoredImage = (value) => {
+  const [src, setSrc] = useState(isStoredImage(value) ? '' : value || '');
+
+  useEffect(() => {
+    if (!isStoredImage(value)) {
+      setSrc(value || '');
+      return undefined;
+    }
+    let cancelled = false;
+    loadImage(value).then((url) => {
+      if (!cancelled) setSrc(url);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [value]);
+
+  return src;
+};
@@ -0,0 +1,149 @@
+/*
+  tvLayout.js
+  - Layout da TV por torneio: quais widgets aparecem, em que ordem e com que largura
+  - Temas de cores, nome e logo do clube, logo do patrocinador (URL ou referência ao banco de imagens)
+  - As classes dos temas ficam escritas aqui por extenso para o Tailwind encontrá-las
+*/
+
+export const WIDGETS = [
+  'clock',
+  'blinds',
+  'nextLevel',
+  'prizePool',
+  'playersLeft',
+  'averageStack',
+  'payouts',
+  'podium',
+  'chipLeaders',
+  'bounties',
+  'tables',
+  'sponsor',
+];
+
+export const widgetLabels = {
+  clock: 'Relógio',
+  blinds: 'Blinds atuais',
+  nextLevel: 'Próximo nível',
+  prizePool: 'Prize pool',
+  playersLeft: 'Jogadores restantes',
+  averageStack: 'Stack médio',
+  payouts: 'Premiação',
+  podium: 'Pódio (1º a 3º)',
+  chipLeaders: 'Maiores pilhas',
+  bounties: 'Bounties',
+  tables: 'Mapa das mesas',
+  sponsor: 'Logo do patrocinador',
+};
+
+export const WIDGET_SIZES = ['full', 'half', 'third'];
+
+export const sizeLabels = {
+  full: 'Inteira',
+  half: 'Metade',
+  third: 'Um terço',
+};
+
+// Grade de 6 colunas
+export const sizeClasses = {
+  full: 'col-span-6',
+  half: 'col-span-3',
+  third: 'col-span-2',
+};
+
+export const THEMES = {
+  classic: {
+    label: 'Clássico (verde)',
+    page: 'bg-black text-white',
+    panel: 'bg-gray-900',
+    inner: 'bg-black',
+    accent: 'text-green-400',
+    muted: 'text-gray-400',
+    highlight: 'text-yellow-300',
+  },
+  blue: {
+    label: 'Azul',
+    page: 'bg-slate-950 text-white',
+    panel: 'bg-blue-950',
+    inner: 'bg-slate-900',
+    accent: 'text-sky-400',
+    muted: 'text-slate-400',
+    highlight: 'text-amber-300',
+  },
+  red: {
+    label: 'Vermelho',
+    page: 'bg-neutral-950 text-white',
+    panel: 'bg-red-950',
+    inner: 'bg-neutral-900',
+    accent: 'text-red-400',
+    muted: 'text-neutral-400',
+    highlight: 'text-yellow-300',
+  },
+  gold: {
+    label: 'Dourado',
+    page: 'bg-stone-950 text-amber-50',
+    panel: 'bg-stone-900',
+    inner: 'bg-black',
+    accent: 'text-amber-400',
+    muted: 'text-stone-400',
+    highlight: 'text-amber-200',
+  },
+  light: {
+    label: 'Claro',
+    page: 'bg-gray-100 text-gray-900',
+    panel: 'bg-white',
+    inner: 'bg-gray-100',
+    accent: 'text-emerald-700',
+    muted: 'text-gray-500',
+    highlight: 'text-orange-600',
+  },
+};
+
+export const defaultTVLayout = {
+  theme: 'classic',
+  clubName: '',
+  subtitle: 'Torneio de Poker',
+  logo: '',
+  sponsorLogo: '',
+  widgets: [
+    { type: 'clock', size: 'full', enabled: true },
+    { type: 'prizePool', size: 'third', enabled: true },
+    { type: 'playersLeft', size: 'third', enabled: true },
+    { type: 'averageStack', size: 'third', enabled: true },
+    { type: 'podium', size: 'full', enabled: true },
+    { type: 'bounties', size: 'full', enabled: true },
+    { type: 'tables', size: 'full', enabled: true },
+    { type: 'chipLeaders', size: 'full', enabled: true },
+    { type: 'blinds', size: 'half', enabled: false },
+    { type: 'nextLevel', size: 'half', enabled: false },
+    { type: 'payouts', size: 'full', enabled: false },
+    { type: 'sponsor', size: 'full', enabled: false },
+  ],
+};
+
+// Layout salvo completado com widgets novos (desligados) e sem tipos desconhecidos
+export const getTVLayout = (tournament) => {
+  const saved = { ...defaultTVLayout, ...(tournament.tvLayout || {}) };
+  const widgets = (Array.isArray(saved.widgets) ? saved.widgets : defaultTVLayout.widgets)
+    .filter(w => w && WIDGETS.includes(w.type));
+  const missing = WIDGETS.filter(type => !widgets.some(w => w.type === type))
+    .map(type => ({ ...defaultTVLayout.widgets.find(w => w.type === type), enabled: false }));
+  return { ...saved, widgets: [...widgets, ...missing] };
+};
+
+export const getTheme = (layout) => THEMES[layout.theme] || THEMES.classic;
+
+export const moveWidget = (widgets, index, delta) => {
+  const target = index + delta;
+  if (target < 0 || target >= widgets.length) return widgets;
+  const next = [...widgets];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+// Imagem escolhida no computador vira data URL antes de ir para o banco de imagens (tvImages.js)
+export const readImageFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
@@ -0,0 +1,138 @@
+import { useEffect, useRef, useState } from 'react';
+import { normalizeTournament } from './schema';
+
+/*
+  tvSync.js
+  - Canal entre o painel admin e as janelas /tv (BroadcastChannel)
+  - Admin envia o torneio a cada mudança e um heartbeat periódico
+  - A TV detecta admin desconectado quando os heartbeats param; como o navegador atrasa timers de
+    abas em segundo plano (até ~1 por minuto), a janela de tolerância é longa e o admin também
+    manda heartbeat ao mudar de visibilidade/foco
+  - O snapshot no localStorage é só para a TV abrir já com algo na tela: cota estourada não
+    derruba o painel, a TV continua recebendo pelo canal
+*/
+
+const channelName = 'poker_tv_sync';
+const tournamentKey = 'current_tv_tournament';
+const tournamentIdKey = 'current_tv_tournament_id';
+
+export const HEARTBEAT_INTERVAL = 2000;
+export const STALE_AFTER = 90000;
+
+// Falha ao gravar o snapshot (cota cheia) só é registrada no console
+const writeSnapshot = (key, value) => {
+  try {
+    localStorage.setItem(key, value);
+  } catch (e) {
+    console.error('Erro ao salvar torneio da TV:', e);
+  }
+};
+
+const openChannel = () => (typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(channelName));
+
+const readSnapshot = () => {
+  try {
+    const raw = localStorage.getItem(tournamentKey);
+    return raw ? normalizeTournament(JSON.parse(raw)) : null;
+  } catch (e) {
+    console.error('Erro ao carregar torneio:', e);
+    return null;
+  }
+};
+
+// Define qual torneio as janelas de TV devem exibir
+export const selectTVTournament = (tournament) => {
+  writeSnapshot(tournamentIdKey, tournament.id);
+  writeSnapshot(tournamentKey, JSON.stringify(tournament));
+};
+
+// Lado admin: publica o torneio selecionado para a TV
+export const useTVPublisher = (tournaments) => {
+  const channelRef = useRef(null);
+  const currentRef = useRef(null);
+
+  const current = tournaments.find(t => t.id === localStorage.getItem(tournamentIdKey)) || null;
+  currentRef.current = current;
+
+  useEffect(() => {
+    const channel = openChannel();
+    if (!channel) return undefined;
+    channelRef.current = channel;
+
+    const sendState = () => {
+      if (currentRef.current) {
+        channel.postMessage({ type: 'state', tournament: currentRef.current, sentAt: Date.now() });
+      }
+    };
+
+    channel.onmessage = (e) => {
+      if (e.data?.type === 'hello') sendState();
+    };
+
+    const sendHeartbeat = () => {
+      channel.postMessage({ type: 'heartbeat', tournamentId: currentRef.current?.id ?? null, sentAt: Date.now() });
+    };
+    const heartbeat = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+    document.addEventListener('visibilitychange', sendHeartbeat);
+    window.addEventListener('focus', sendHeartbeat);
+    window.addEventListener('blur', sendHeartbeat);
+
+    const onUnload = () => channel.postMessage({ type: 'closed', sentAt: Date.now() });
+    window.addEventListener('beforeunload', onUnload);
+
+    return () => {
+      clearInterval(heartbeat);
+      document.removeEventListener('visibilitychange', sendHeartbeat);
+      window.removeEventListener('focus', sendHeartbeat);
+      window.removeEventListener('blur', sendHeartbeat);
+      window.removeEventListener('beforeunload', onUnload);
+      channel.close();
+      channelRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!current) return;
+    writeSnapshot(tournamentKey, JSON.stringify(current));
+    channelRef.current?.postMessage({ type: 'state', tournament: current, sentAt: Date.now() });
+  }, [current]);
+};
+
+// Lado TV: recebe o torneio e acompanha se o admin ainda está conectado
+export const useTVSubscription = () => {
+  const [tournament, setTournament] = useState(readSnapshot);
+  const [lastSeen, setLastSeen] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const openedAt = useRef(Date.now());
+
+  useEffect(() => {
+    const channel = openChannel();
+    if (!channel) return undefined;
+
+    channel.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === 'state') {
+        // Admin de outra versão pode mandar o torneio sem campos novos: mesmo tratamento do snapshot
+        setTournament(normalizeTournament(msg.tournament));
+        setLastSeen(Date.now());
+      } else if (msg.type === 'heartbeat') {
+        setLastSeen(Date.now());
+      } else if (msg.type === 'closed') {
+        setLastSeen(0);
+      }
+    };
+    channel.postMessage({ type: 'hello', sentAt: Date.now() });
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => {
+      clearInterval(interval);
+      channel.close();
+    };
+  }, []);
+
+  // null = ainda aguardando o primeiro contato do admin
+  const connected = lastSeen === null
+    ? (now - openedAt.current < STALE_AFTER ? null : false)
+    : now - lastSeen < STALE_AFTER;
+  return { tournament, connected, lastSeen };
+};